@@ -89,6 +89,18 @@ window.widgetApi = {
         try { window.widgetApi.setBounds(x, y); } catch (_) {}
     },
     
+    /**
+     * 发送快捷操作给主窗口（稍后提醒、完成、跳过、开关提醒、快速计时、打开主界面）
+     * @param {Object} action { type, blockId, minutes }
+     */
+    sendAction: (action) => {
+        if (mainId) {
+            ipcRenderer.sendTo(mainId, ACTION_CHANNEL, action);
+        } else {
+            console.warn('未连接到主窗口');
+        }
+    },
+
     /**
      * 请求关闭悬浮窗
      */
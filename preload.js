@@ -2,6 +2,7 @@ const { ipcRenderer } = require('electron');
 const { exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const timeParser = require('./time_parser');
 
 const TIME_BLOCKS_KEY = 'timeBlocks';
 
@@ -200,7 +201,15 @@ function initStorage() {
       preAlertCount: 1,
       globalAlertEnabled: true,
       notificationType: 'popup', // 'popup' - 弹窗通知, 'system' - 系统通知
-      floatingOpacity: 0.8 // 悬浮窗透明度
+      floatingOpacity: 0.8, // 悬浮窗透明度
+      floatingSkin: 'default', // 悬浮窗皮肤：default / minimal / dark / clock-face / large-digits
+      floatingMode: 'bar', // 悬浮窗样式：bar 任务栏 / analog 指针时钟 / digital 数字时钟
+      snoozeOptions: [5, 10, 15], // 弹窗"稍后提醒"可选分钟数
+      notificationPosition: 'center', // 提醒弹窗位置：center / top-right / bottom-right / top-left / bottom-left
+      notificationChannels: ['popup', 'sound'], // 默认提醒方式：popup / system / sound / flash
+      doNotDisturb: false, // 手动免打扰
+      quietHours: [], // 每天的安静时段 [{ start: 'HH:MM', end: 'HH:MM' }]
+      dndMode: 'suppress' // 免打扰期间的提醒：suppress / silence / defer
     };
     window.utools.dbStorage.setItem('globalSettings', globalSettings);
   } else {
@@ -210,6 +219,10 @@ function initStorage() {
         globalSettings.floatingOpacity = 0.8;
         needUpdate = true;
     }
+    if (!Array.isArray(globalSettings.snoozeOptions) || globalSettings.snoozeOptions.length === 0) {
+        globalSettings.snoozeOptions = [5, 10, 15];
+        needUpdate = true;
+    }
     if (needUpdate) {
         window.utools.dbStorage.setItem('globalSettings', globalSettings);
     }
@@ -226,16 +239,13 @@ function initStorage() {
   window.globalConfig = JSON.parse(window.utools.dbStorage.getItem('globalConfig') || '{}');
 }
 
-// 初始化UI和主题
-function initUIAndTheme() {
-  // 更新UI显示
+// 用存储中的全局参数刷新设置页表单
+function updateSettingsFormUI() {
   const settings = window.utools.dbStorage.getItem('globalSettings');
   const preAlertTimeInput = document.getElementById('pre-alert-time');
-  const preAlertCountInput = document.getElementById('pre-alert-count');
   const globalAlertToggle = document.getElementById('global-alert-toggle');
-  if (preAlertTimeInput && preAlertCountInput && globalAlertToggle) {
+  if (preAlertTimeInput && globalAlertToggle) {
     preAlertTimeInput.value = settings.preAlertTime;
-    preAlertCountInput.value = settings.preAlertCount;
     globalAlertToggle.value = settings.globalAlertEnabled ? 'true' : 'false';
 
     // 初始化悬浮窗透明度滑块
@@ -246,12 +256,38 @@ function initUIAndTheme() {
         floatingOpacityInput.value = opacity;
         opacityValueDisplay.textContent = opacity;
     }
+
+    // 初始化稍后提醒选项
+    const snoozeOptionsInput = document.getElementById('snooze-options');
+    if (snoozeOptionsInput) {
+        snoozeOptionsInput.value = window.getSnoozeOptions().join(',');
+    }
+
+    // 初始化提醒弹窗位置
+    const notificationPositionSelect = document.getElementById('notification-position');
+    if (notificationPositionSelect) {
+        notificationPositionSelect.value = window.getNotificationPosition();
+    }
+
+    // 初始化默认提醒方式与免打扰
+    const defaultChannels = window.getDefaultChannels();
+    document.querySelectorAll('input[name="default-channel"]').forEach(checkbox => {
+        checkbox.checked = defaultChannels.includes(checkbox.value);
+    });
+    updateDndStatusUI();
   }
+}
+
+// 初始化UI和主题
+function initUIAndTheme() {
+  // 更新UI显示
+  updateSettingsFormUI();
   
   
   // 初始化铃声UI显示
   setTimeout(() => {
     updateBellSoundUI();
+    updateHolidayCalendarUI();
   }, 100);
   
   // 设置初始主题
@@ -281,6 +317,13 @@ function initUIAndTheme() {
     if (window.utools.showMainWindow) {
       window.utools.showMainWindow();
     }
+
+    // 从搜索框一句话创建闹钟
+    if (code === 'quick-add' && typeof payload === 'string') {
+      setTimeout(() => {
+        window.createBlockFromText(payload);
+      }, 100);
+    }
     
     // 渲染时间线
     if (typeof window.renderTimeline === 'function') {
@@ -332,7 +375,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
 // 时间块管理
-window.saveTimeSettings = (blocks) => {
+// options.checkOverlaps：用户在表单中保存时为 true，检测新产生的时间段重叠并提示；
+// 提醒触发后的内部保存、模板/分类/导入等批量保存不做检测，避免每次保存都扫描一整年
+window.saveTimeSettings = (blocks, options = {}) => {
+  const previousBlocks = options.checkOverlaps ? window.getTimeSettings() : null;
   // 确保每个时间块都有唯一ID、创建时间、状态和预提醒设置
   const updatedBlocks = blocks.map(block => ({
     ...block,
@@ -345,7 +391,22 @@ window.saveTimeSettings = (blocks) => {
     remainingCount: block.remainingCount !== undefined ? block.remainingCount : (block.reminderCount !== undefined ? block.reminderCount : -1)
   }));
   window.utools.dbStorage.setItem(TIME_BLOCKS_KEY, updatedBlocks);
-  //window.alertManager.updateTimeBlocks();
+  // 时间段重叠只提示不阻止保存（如有意安排的并行事项）
+  try {
+    const overlaps = previousBlocks ? findNewTimeBlockOverlaps(previousBlocks, updatedBlocks) : [];
+    if (overlaps.length > 0) {
+      const text = overlaps.slice(0, 3).map(item => {
+        const at = new Date(item.at);
+        return `"${item.a.task}"与"${item.b.task}"（${at.getMonth() + 1}月${at.getDate()}日 ${window.formatTimeOfDay(at)}）`;
+      }).join('、');
+      window.logger.warn(`[时间块] 检测到时间段重叠: ${text}`);
+      window.showToast(`时间段重叠：${text}${overlaps.length > 3 ? ` 等${overlaps.length}处` : ''}`, 'error');
+    }
+  } catch (error) {
+    window.logger.error('[时间块] 重叠检测失败:', error);
+  }
+  // 时间块变更后重新计算下一次触发时刻
+  if (window.alertManager) window.alertManager.reschedule();
   try {
     const st = getFloatingState();
     if (st && st.visible) window.pushFloatingData();
@@ -361,17 +422,18 @@ window.deleteTimeBlock = (id) => {
   const updatedBlocks = blocks.filter(block => block.id !== id);
   window.saveTimeSettings(updatedBlocks);
   // 只重置被删除时间块的状态
-  lastPreAlertTimes.delete(id);
-  lastRemainingMinutes.delete(id);
-  lastAlertDates.delete(id);
-  lastNotificationTimes.delete(id);
+  if (window.alertManager) {
+    window.alertManager.resetBlockState(id);
+    window.alertManager.cancelEndAlert(id);
+    window.alertManager.cancelEscalation(id);
+  }
   try {
     const st = getFloatingState();
     if (st && st.visible) window.pushFloatingData();
   } catch (_) {}
 };
 
-window.updateTimeBlock = (id, updatedData) => {
+window.updateTimeBlock = (id, updatedData, options = {}) => {
   const blocks = window.getTimeSettings();
   const index = blocks.findIndex(block => block.id === id);
   if (index !== -1) {
@@ -384,13 +446,14 @@ window.updateTimeBlock = (id, updatedData) => {
       createdAt: originalBlock.createdAt
     };
     
-    // 重置预提醒相关状态
-    lastPreAlertTimes.delete(id);
-    lastRemainingMinutes.delete(id);
-    lastAlertDates.delete(id);
-    lastNotificationTimes.delete(id);
+    // 重置预提醒相关状态，时间变更后原结束提醒不再有效
+    if (window.alertManager) {
+      window.alertManager.resetBlockState(id);
+      window.alertManager.cancelEndAlert(id);
+      window.alertManager.cancelEscalation(id);
+    }
     
-    window.saveTimeSettings(blocks);
+    window.saveTimeSettings(blocks, options);
     return true;
   }
   return false;
@@ -399,68 +462,309 @@ window.updateTimeBlock = (id, updatedData) => {
 
 
 // 音频播放功能
-window.playBellSound = () => {
-  try {
-    const config = JSON.parse(window.utools.dbStorage.getItem('globalConfig') || '{}');
-    const bellSoundType = config.bellSoundType || 'default';
-    const customBellSound = config.customBellSound;
-    
-    if (bellSoundType === 'custom' && customBellSound) {
-      // 播放自定义铃声
-      window.logger.log('[音频] 播放自定义铃声:', customBellSound);
-      const audio = new Audio();
-      audio.src = `file:///${customBellSound.replace(/\\/g, '/')}`;
-      audio.volume = 0.7;
-      audio.play().catch(error => {
-        window.logger.error('[音频] 自定义铃声播放失败，回退到默认铃声:', error);
-        playDefaultBellSound();
+
+/*
+ * 铃声库与响铃
+ * 铃声库 = 内置合成铃声（SOUND_PRESETS）+ 用户上传的音频文件（globalConfig.soundLibrary: [{ id, name, path }]）
+ * 响铃参数 { id, volume: 0-1, fadeIn: 渐强秒数, repeat: 响铃次数，0 表示直到关闭弹窗 }，
+ * 全局默认值存于 globalConfig.sound，时间块可通过 block.sound 单独指定（缺省字段沿用全局）。
+ * 每次响铃有一个 key，弹窗关闭、稍后提醒或完成时按 key 停止。
+ * 创建日期：2026-10-18
+ */
+const DEFAULT_SOUND_ID = 'preset:default';
+const SOUND_DEFAULTS = { id: DEFAULT_SOUND_ID, volume: 0.7, fadeIn: 0, repeat: 1 };
+const SOUND_REPEAT_GAP = 600; // 重复响铃之间的间隔（毫秒）
+const SOUND_MAX_RING_DURATION = 5 * 60000; // "直到关闭"最长响铃时间，防止弹窗丢失后一直响
+const activeRings = new Map(); // key -> 响铃状态
+
+// 合成一个音符：从 startAt 开始，按包络渐强后衰减
+function playSynthTone(ctx, destination, { type = 'sine', freq, freqTo, startAt, duration, peak = 0.4 }) {
+  const oscillator = ctx.createOscillator();
+  const gain = ctx.createGain();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(freq, startAt);
+  if (freqTo) oscillator.frequency.linearRampToValueAtTime(freqTo, startAt + duration);
+  gain.gain.setValueAtTime(0, startAt);
+  gain.gain.linearRampToValueAtTime(peak, startAt + 0.02);
+  gain.gain.exponentialRampToValueAtTime(0.001, startAt + duration);
+  oscillator.connect(gain);
+  gain.connect(destination);
+  oscillator.start(startAt);
+  oscillator.stop(startAt + duration);
+}
+
+// 内置合成铃声：play(ctx, destination, startAt) 安排一遍铃声并返回时长（秒）
+const SOUND_PRESETS = [
+  {
+    id: DEFAULT_SOUND_ID,
+    name: '默认铃声',
+    play(ctx, destination, startAt) {
+      // 原默认铃声：800Hz 起的滑音，持续 1.5 秒
+      const oscillator = ctx.createOscillator();
+      const gain = ctx.createGain();
+      oscillator.type = 'sine';
+      oscillator.frequency.setValueAtTime(800, startAt);
+      oscillator.frequency.linearRampToValueAtTime(1000, startAt + 0.3);
+      oscillator.frequency.linearRampToValueAtTime(800, startAt + 0.6);
+      oscillator.frequency.linearRampToValueAtTime(1200, startAt + 1.2);
+      gain.gain.setValueAtTime(0, startAt);
+      gain.gain.linearRampToValueAtTime(0.43, startAt + 0.1);
+      gain.gain.linearRampToValueAtTime(0.36, startAt + 0.8);
+      gain.gain.exponentialRampToValueAtTime(0.01, startAt + 1.5);
+      oscillator.connect(gain);
+      gain.connect(destination);
+      oscillator.start(startAt);
+      oscillator.stop(startAt + 1.5);
+      return 1.5;
+    }
+  },
+  {
+    id: 'preset:chime',
+    name: '叮咚',
+    play(ctx, destination, startAt) {
+      playSynthTone(ctx, destination, { freq: 880, startAt, duration: 0.8 });
+      playSynthTone(ctx, destination, { freq: 660, startAt: startAt + 0.5, duration: 1.1 });
+      return 1.6;
+    }
+  },
+  {
+    id: 'preset:beep',
+    name: '嘀嘀',
+    play(ctx, destination, startAt) {
+      for (let i = 0; i < 3; i++) {
+        playSynthTone(ctx, destination, { type: 'square', freq: 1000, startAt: startAt + i * 0.3, duration: 0.15, peak: 0.2 });
+      }
+      return 0.9;
+    }
+  },
+  {
+    id: 'preset:digital',
+    name: '电子闹钟',
+    play(ctx, destination, startAt) {
+      for (let i = 0; i < 4; i++) {
+        playSynthTone(ctx, destination, { type: 'square', freq: 2000, startAt: startAt + i * 0.12, duration: 0.08, peak: 0.15 });
+      }
+      return 1;
+    }
+  },
+  {
+    id: 'preset:rise',
+    name: '上行音阶',
+    play(ctx, destination, startAt) {
+      [523, 659, 784, 1047].forEach((freq, i) => {
+        playSynthTone(ctx, destination, { type: 'triangle', freq, startAt: startAt + i * 0.18, duration: 0.5 });
       });
+      return 1.1;
+    }
+  }
+];
+
+/*
+ * 功能：读取铃声配置（兼容旧版单个自定义铃声 customBellSound/bellSoundType）
+ * 参数：无
+ * 返回值：Object { config, library, sound } config 为 globalConfig 原始对象
+ * 创建日期：2026-10-18
+ */
+function getSoundConfig() {
+  const config = JSON.parse(window.utools.dbStorage.getItem('globalConfig') || '{}');
+  const library = Array.isArray(config.soundLibrary) ? config.soundLibrary.slice() : [];
+  let legacyId = DEFAULT_SOUND_ID;
+  if (config.customBellSound) {
+    let legacy = library.find(item => item.path === config.customBellSound);
+    if (!legacy) {
+      legacy = { id: 'file:legacy', name: path.basename(config.customBellSound), path: config.customBellSound };
+      library.unshift(legacy);
+    }
+    if (config.bellSoundType === 'custom') legacyId = legacy.id;
+  }
+  const sound = { ...SOUND_DEFAULTS, id: legacyId, ...(config.sound || {}) };
+  return { config, library, sound };
+}
+
+// 保存铃声库和全局默认响铃参数，旧版字段并入铃声库后删除
+function saveSoundConfig(library, sound) {
+  const config = JSON.parse(window.utools.dbStorage.getItem('globalConfig') || '{}');
+  delete config.customBellSound;
+  delete config.bellSoundType;
+  config.soundLibrary = library;
+  config.sound = sound;
+  window.utools.dbStorage.setItem('globalConfig', JSON.stringify(config));
+  window.globalConfig = config;
+}
+
+// 规范化响铃参数，超出范围的值回退到默认
+function normalizeSound(sound) {
+  const volume = Number(sound.volume);
+  const fadeIn = Number(sound.fadeIn);
+  const repeat = parseInt(sound.repeat, 10);
+  return {
+    id: sound.id || DEFAULT_SOUND_ID,
+    volume: volume >= 0 && volume <= 1 ? volume : SOUND_DEFAULTS.volume,
+    fadeIn: fadeIn >= 0 && fadeIn <= 60 ? fadeIn : SOUND_DEFAULTS.fadeIn,
+    repeat: repeat >= 0 && repeat <= 99 ? repeat : SOUND_DEFAULTS.repeat
+  };
+}
+
+/*
+ * 功能：列出铃声库（内置铃声在前）
+ * 参数：无
+ * 返回值：Array<{ id, name, builtin }>
+ * 创建日期：2026-10-18
+ */
+window.getSoundLibrary = () => {
+  const { library } = getSoundConfig();
+  return [
+    ...SOUND_PRESETS.map(preset => ({ id: preset.id, name: preset.name, builtin: true })),
+    ...library.map(item => ({ id: item.id, name: item.name, builtin: false }))
+  ];
+};
+
+// 全局默认响铃参数
+window.getDefaultSound = () => normalizeSound(getSoundConfig().sound);
+
+/*
+ * 功能：保存全局默认响铃参数
+ * 参数：patch - { id?, volume?, fadeIn?, repeat? }
+ * 返回值：无
+ * 创建日期：2026-10-18
+ */
+window.saveDefaultSound = (patch) => {
+  const { library, sound } = getSoundConfig();
+  saveSoundConfig(library, normalizeSound({ ...sound, ...patch }));
+  updateBellSoundUI();
+};
+
+// 结束一次响铃并释放音频资源
+function finishRing(ring) {
+  ring.stopped = true;
+  ring.timers.forEach(timer => clearTimeout(timer));
+  if (ring.fadeTimer) clearInterval(ring.fadeTimer);
+  if (ring.audio) {
+    try { ring.audio.pause(); } catch (_) {}
+  }
+  if (ring.ctx) {
+    try { ring.ctx.close(); } catch (_) {}
+  }
+  if (activeRings.get(ring.key) === ring) activeRings.delete(ring.key);
+}
+
+// 本遍结束后是否还需要继续响
+function shouldRingAgain(ring) {
+  if (ring.stopped) return false;
+  if (Date.now() - ring.startedAt > SOUND_MAX_RING_DURATION) return false;
+  return ring.sound.repeat === 0 || ring.count < ring.sound.repeat;
+}
+
+function playPresetRing(ring, preset) {
+  const ctx = new (window.AudioContext || window.webkitAudioContext)();
+  const master = ctx.createGain();
+  master.connect(ctx.destination);
+  const { volume, fadeIn } = ring.sound;
+  if (fadeIn > 0) {
+    master.gain.setValueAtTime(0.0001, ctx.currentTime);
+    master.gain.linearRampToValueAtTime(volume, ctx.currentTime + fadeIn);
+  } else {
+    master.gain.setValueAtTime(volume, ctx.currentTime);
+  }
+  ring.ctx = ctx;
+
+  const playOnce = () => {
+    const duration = preset.play(ctx, master, ctx.currentTime + 0.05);
+    ring.timers.push(setTimeout(() => {
+      ring.count++;
+      if (shouldRingAgain(ring)) playOnce();
+      else finishRing(ring);
+    }, duration * 1000 + SOUND_REPEAT_GAP));
+  };
+  playOnce();
+}
+
+function playFileRing(ring, entry) {
+  const { volume, fadeIn } = ring.sound;
+  const audio = new Audio();
+  audio.src = `file:///${entry.path.replace(/\\/g, '/')}`;
+  audio.volume = fadeIn > 0 ? 0 : volume;
+  ring.audio = audio;
+
+  // 渐强：音量在 fadeIn 秒内从 0 线性升到目标值，跨越多遍重复
+  if (fadeIn > 0) {
+    ring.fadeTimer = setInterval(() => {
+      const progress = Math.min(1, (Date.now() - ring.startedAt) / (fadeIn * 1000));
+      audio.volume = volume * progress;
+      if (progress >= 1) clearInterval(ring.fadeTimer);
+    }, 100);
+  }
+
+  audio.addEventListener('ended', () => {
+    ring.count++;
+    if (!shouldRingAgain(ring)) {
+      finishRing(ring);
+      return;
+    }
+    ring.timers.push(setTimeout(() => {
+      if (ring.stopped) return;
+      audio.currentTime = 0;
+      audio.play().catch(() => finishRing(ring));
+    }, SOUND_REPEAT_GAP));
+  });
+  audio.play().catch(error => {
+    window.logger.error('[音频] 铃声文件播放失败，回退到默认铃声:', error);
+    if (ring.fadeTimer) clearInterval(ring.fadeTimer);
+    ring.audio = null;
+    if (!ring.stopped) playPresetRing(ring, SOUND_PRESETS[0]);
+  });
+}
+
+/*
+ * 功能：响铃
+ * 参数：sound - 响铃参数（可只传部分字段，如 block.sound），缺省字段取全局默认
+ *       key - 响铃标识，同一 key 的上一次响铃会先停止；不传时自动生成
+ * 返回值：String 响铃标识，用于 stopBellSound
+ * 更新日期：2026-10-18 支持铃声库、音量、渐强和重复
+ */
+window.playBellSound = (sound = {}, key) => {
+  const ringKey = key || `ring:${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`;
+  window.stopBellSound(ringKey);
+  const { library, sound: defaults } = getSoundConfig();
+  const resolved = normalizeSound({ ...defaults, ...(sound || {}) });
+  const ring = { key: ringKey, sound: resolved, count: 0, stopped: false, timers: [], startedAt: Date.now() };
+  activeRings.set(ringKey, ring);
+
+  try {
+    // 铃声已从铃声库删除时回退到全局默认铃声
+    const exists = id => library.some(item => item.id === id) || SOUND_PRESETS.some(item => item.id === id);
+    const soundId = exists(resolved.id) ? resolved.id : defaults.id;
+    const entry = library.find(item => item.id === soundId);
+    const preset = SOUND_PRESETS.find(item => item.id === soundId) || SOUND_PRESETS[0];
+    if (entry && fs.existsSync(entry.path)) {
+      window.logger.log(`[音频] 播放铃声文件: ${entry.name}`);
+      playFileRing(ring, entry);
     } else {
-      // 播放默认铃声
-      playDefaultBellSound();
+      if (entry) window.logger.warn(`[音频] 铃声文件不存在，使用默认铃声: ${entry.path}`);
+      window.logger.log(`[音频] 播放内置铃声: ${entry ? SOUND_PRESETS[0].name : preset.name}`);
+      playPresetRing(ring, entry ? SOUND_PRESETS[0] : preset);
     }
   } catch (error) {
     window.logger.error('[音频] 播放铃声失败:', error);
-    playDefaultBellSound();
+    finishRing(ring);
   }
+  return ringKey;
 };
 
-// 默认铃声播放函数
-function playDefaultBellSound() {
-  try {
-    // 创建音频上下文
-    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    
-    // 创建振荡器
-    const oscillator = audioContext.createOscillator();
-    const gainNode = audioContext.createGain();
-    
-    // 连接节点
-    oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
-    
-    // 设置铃声参数 - 增加持续时间和音效
-    oscillator.frequency.setValueAtTime(800, audioContext.currentTime); // 800Hz频率
-    oscillator.frequency.linearRampToValueAtTime(1000, audioContext.currentTime + 0.3);
-    oscillator.frequency.linearRampToValueAtTime(800, audioContext.currentTime + 0.6);
-    oscillator.frequency.linearRampToValueAtTime(1200, audioContext.currentTime + 1.2);
-    oscillator.type = 'sine'; // 正弦波
-    
-    // 设置音量包络（渐强渐弱效果）- 延长时间
-    gainNode.gain.setValueAtTime(0, audioContext.currentTime);
-    gainNode.gain.linearRampToValueAtTime(0.3, audioContext.currentTime + 0.1);
-    gainNode.gain.linearRampToValueAtTime(0.25, audioContext.currentTime + 0.8);
-    gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 1.5);
-    
-    // 播放铃声 - 延长到1.5秒
-    oscillator.start(audioContext.currentTime);
-    oscillator.stop(audioContext.currentTime + 1.5);
-    
-    window.logger.log('[音频] 播放默认铃声');
-  } catch (error) {
-      window.logger.error('[音频] 默认铃声播放失败:', error);
-    }
-}
+/*
+ * 功能：停止响铃
+ * 参数：key - playBellSound 返回的标识，不传则停止全部
+ * 返回值：无
+ * 创建日期：2026-10-18
+ */
+window.stopBellSound = (key) => {
+  if (key === undefined) {
+    [...activeRings.values()].forEach(finishRing);
+    return;
+  }
+  const ring = activeRings.get(key);
+  if (ring) finishRing(ring);
+};
 
 // 通知系统
 
@@ -498,1348 +802,5477 @@ window.showToast = (message, type = 'success') => {
   }, 3000);
 };
 
-// 系统通知功能（已停用，保留代码以备将来使用）
+// 系统通知（提醒渠道之一）
 window.sendSystemNotification = (title, body) => {
   window.logger.log(`[系统通知] 标题: ${title}, 内容: ${body}`);
   
-  // 使用utools原生通知API
+  // 使用utools原生通知API（只接受一段文本）
   if (window.utools.showNotification) {
-    window.utools.showNotification({
-      title: title,
-      body: body,
-      icon: window.getGlobalAvatar() || './logo.png'
-    });
+    window.utools.showNotification(`${title}：${body}`);
   } else {
     window.logger.warn('[系统通知] utools原生通知API不可用，回退到弹窗通知');
     window.sendPopupNotification(title, body);
   }
 };
 
-// 弹窗通知（原有的通知系统）
-window.sendPopupNotification = (title, body) => {
-  window.logger.log(`[弹窗通知] 标题: ${title}, 内容: ${body}`);
-  const screenWidth = window.screen.width;
-  const screenHeight = window.screen.height;
-  
-  // 创建通知窗口
-  const notificationPath = './notification.html';
-  const win = window.utools.createBrowserWindow(notificationPath, {
-    width: 400,
-    height: 200,
-    frame: false,
-    resizable: false,
-    transparent: true,
-    alwaysOnTop: true,
-    skipTaskbar: true,
-    show: false,
-    webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
-      sandbox: false
-    }
-  }, () => {
-    // 预处理通知内容
-    const safeTitle = String(title).replace(/[\\"']/g, '');
-    const safeBody = String(body).replace(/[\\"']/g, '');
-    const avatarUrl11 = window.getGlobalAvatar();
-    const rawAvatarPath = window.getGlobalAvatar();
-    //const encodedAvatarPath = encodeURIComponent(rawAvatarPath.replace(/\\/g, '/'));
-    encodedAvatarPath = rawAvatarPath.replace(/\\/g, '/');
-    const avatarUrl = `file:///${encodedAvatarPath}?t=${new Date().getTime()}`;
-    window.logger.log('[通知] 处理后的头像URL:', avatarUrl);
-    // 显示窗口并设置置顶
-    win.show();
-    try {
-      win.setAlwaysOnTop(true, 'screen-saver');
-    } catch (_) {
-      try { win.setAlwaysOnTop(true); } catch (_) {}
-    }
-
-    // 通过executeJavaScript注入通知内容
-    win.webContents.executeJavaScript(`
-      document.querySelector('.title').textContent = "${safeTitle}";
-      document.querySelector('.content').textContent = "${safeBody}";
-      document.querySelector('.avatar-container').style.backgroundImage = "url('${avatarUrl}')";
-    `);
-
-  // 更新alertManager的updateTimeBlocks方法
-  /*
-  if (window.alertManager) {
-    window.alertManager.updateTimeBlocks = function() {
-      this.timeBlocks = window.getTimeSettings();
-      this.currentBlock = this.timeBlocks.find(b => b.status === 'active');
-      this.currentAvatar = window.getGlobalAvatar() || './logo.svg';
-    };
-  }*/
+/*
+ * 通知弹窗管理
+ * 同时最多显示 NOTIFICATION_MAX_VISIBLE 个弹窗，其余排队，有弹窗关闭后依次补上。
+ * 弹窗按 globalSettings.notificationPosition 停靠：四角为纵向依次排列，屏幕中央为错位叠放。
+ * 弹窗内容通过 'notification-message' 通道以结构化消息发送，由 notification.html 的 renderNotification 渲染。
+ * 创建日期：2026-10-18
+ */
+const NOTIFICATION_CHANNEL = 'notification-message';
+const NOTIFICATION_WIDTH = 400;
+const NOTIFICATION_MAX_VISIBLE = 4;
+const NOTIFICATION_MARGIN = 16; // 与屏幕边缘的距离
+const NOTIFICATION_GAP = 12; // 四角排列时弹窗之间的间距
+const NOTIFICATION_OFFSET = 28; // 中央叠放时每层的错位
+const NOTIFICATION_POSITIONS = {
+  center: '屏幕中央',
+  'top-right': '右上角',
+  'bottom-right': '右下角',
+  'top-left': '左上角',
+  'bottom-left': '左下角'
+};
 
-  // 监听子窗口发送的消息
-  win.on('message', (message) => {
-    if (message.type === 'close-notification') {
-      window.logger.log('[通知窗口] 收到关闭消息，准备关闭窗口');
-      if (win && !win.isDestroyed()) {
-        window.logger.log('[通知窗口] 窗口未被销毁，执行关闭操作');
-        win.close();
-      } else {
-        window.logger.log('[通知窗口] 窗口已被销毁，跳过关闭操作');
-      }
-    }
-  });
+// 主显示器的可用区域（不含任务栏）
+function getNotificationWorkArea() {
+  try {
+    const display = window.utools.getPrimaryDisplay();
+    if (display && display.workArea) return display.workArea;
+  } catch (_) {}
+  const screen = window.screen;
+  return {
+    x: screen.availLeft || 0,
+    y: screen.availTop || 0,
+    width: screen.availWidth || screen.width,
+    height: screen.availHeight || screen.height
+  };
+}
 
-  win.setPosition(
-    Math.floor((window.screen.width - 400) / 2),
-    Math.floor((window.screen.height - 200) / 2)
-  );
+// 弹窗头像地址，加时间戳避免更换头像后读到缓存
+function getNotificationAvatarUrl() {
+  return `file:///${window.getGlobalAvatar().replace(/\\/g, '/')}?t=${new Date().getTime()}`;
 }
-)};
 
-// 统一的提醒发送接口（固定使用弹窗通知）
-window.sendNotification = (title, body) => {
-  // 闹钟功能固定使用弹窗通知，确保强制提醒
-  window.sendPopupNotification(title, body);
+/*
+ * 功能：读取提醒弹窗的显示位置
+ * 参数：无
+ * 返回值：String NOTIFICATION_POSITIONS 中的键，默认 'center'
+ * 创建日期：2026-10-18
+ */
+window.getNotificationPosition = () => {
+  const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+  return NOTIFICATION_POSITIONS[settings.notificationPosition] ? settings.notificationPosition : 'center';
 };
 
-// 悬浮窗运行态标记
-if (typeof window.__floatingVisible === 'undefined') window.__floatingVisible = false;
-if (typeof window.__floatingOpening === 'undefined') window.__floatingOpening = false;
-if (typeof window.__floatingWindows === 'undefined') window.__floatingWindows = [];
-const FLOATING_WINDOW_WIDTH = 360;
-const FLOATING_WINDOW_HEIGHT = 45;
+/*
+ * 功能：处理提醒弹窗位置变更，已打开的弹窗立即移动到新位置
+ * 参数：value - NOTIFICATION_POSITIONS 中的键
+ * 返回值：无
+ * 创建日期：2026-10-18
+ */
+window.handleNotificationPositionChange = (value) => {
+  if (!NOTIFICATION_POSITIONS[value]) return;
+  const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+  settings.notificationPosition = value;
+  window.utools.dbStorage.setItem('globalSettings', settings);
+  window.notificationManager.layout();
+  window.showToast(`提醒弹窗将显示在${NOTIFICATION_POSITIONS[value]}`);
+};
 
-// 监听来自悬浮窗的操作请求（如移动窗口）
-ipcRenderer.on('widget-action', (event, action) => {
-    if (!window.floatingWin || window.floatingWin.isDestroyed()) {
-        return;
-    }
+class NotificationManager {
+  constructor() {
+    this.name = '通知弹窗';
+    this.entries = []; // 已打开的弹窗 { id, blockId, content, width, height, ring, win, ready }
+    this.queue = []; // 超出上限、等待显示的弹窗
+    this.seq = 0;
+  }
 
-    try {
-        if (action.type === 'move') {
-            const { x, y } = action;
-            window.floatingWin.setPosition(Math.round(x), Math.round(y));
-        }
-    } catch (e) {
-        // 忽略移动过程中的异常，避免影响主流程
+  /*
+   * 功能：显示一个通知弹窗，已达同时显示上限时排队
+   * 参数：content - 弹窗内容 { mode: 'alert' | 'summary', title, body, actions, items, snoozeOptions }
+   *       options - { blockId, width, height, ringKey }，ringKey 对应的响铃在弹窗关闭时停止
+   * 返回值：无
+   */
+  show(content, options = {}) {
+    // 同一时间块只保留最新的弹窗（如重复提醒再次弹出）
+    if (options.blockId) this.closeBlock(options.blockId);
+    const entry = {
+      id: ++this.seq,
+      blockId: options.blockId || null,
+      content,
+      width: options.width || NOTIFICATION_WIDTH,
+      height: options.height || 200,
+      ring: activeRings.get(options.ringKey),
+      win: null,
+      ready: false
+    };
+    if (this.entries.length >= NOTIFICATION_MAX_VISIBLE) {
+      this.queue.push(entry);
+      window.logger.log(`[通知管理] 弹窗数量已达上限，排队等待: ${content.title}（队列 ${this.queue.length} 个）`);
+      this.broadcastStack();
+      return;
     }
-});
+    this.open(entry);
+  }
 
-// 监听来自悬浮窗的通用消息（使用 utools 官方窗口通信通道）
-ipcRenderer.on('widget-message', (event, message) => {
-    try {
-        if (!message) return;
-        if (message.type === 'close-floating') {
-            // 悬浮窗内部请求关闭，统一走主窗口关闭逻辑，确保状态持久化
-            if (typeof window.closeFloatingWindow === 'function') {
-                window.closeFloatingWindow();
-            }
-        }
-    } catch (_) {}
-});
+  // 创建弹窗窗口，加载完成后发送内容
+  open(entry) {
+    const win = window.utools.createBrowserWindow('./notification.html', {
+      width: entry.width,
+      height: entry.height,
+      frame: false,
+      resizable: false,
+      transparent: true,
+      alwaysOnTop: true,
+      skipTaskbar: true,
+      show: false,
+      webPreferences: {
+        nodeIntegration: true,
+        contextIsolation: false,
+        sandbox: false
+      }
+    }, () => {
+      if (win.isDestroyed()) return;
+      entry.ready = true;
+      this.send(entry, {
+        type: 'render',
+        ...entry.content,
+        avatarUrl: getNotificationAvatarUrl(),
+        theme: window.utools.isDarkColors() ? 'dark' : 'light',
+        stackTotal: this.getTotal()
+      });
+      win.show();
+      try {
+        win.setAlwaysOnTop(true, 'screen-saver');
+      } catch (_) {
+        try { win.setAlwaysOnTop(true); } catch (_) {}
+      }
+    });
+    entry.win = win;
+    this.entries.push(entry);
 
-/*
- * 功能：处理悬浮窗透明度变更
- * 参数：value - 透明度值 (0.1 - 1.0)
- * 创建日期：2025-12-05
- */
-window.handleFloatingOpacityChange = (value) => {
-    const settings = window.utools.dbStorage.getItem('globalSettings') || {};
-    const opacity = parseFloat(value);
-    settings.floatingOpacity = opacity;
-    window.utools.dbStorage.setItem('globalSettings', settings);
-    
-    // 实时更新悬浮窗透明度 - 通过 IPC 发送给页面 CSS 控制
-    // 避免直接使用 win.setOpacity 导致 Windows 下透明窗口渲染问题
-    if (window.floatingWin && !window.floatingWin.isDestroyed()) {
-        // window.floatingWin.setOpacity(opacity); // 禁用原生方法
-        ipcRenderer.sendTo(window.floatingWin.webContents.id, 'widget-message', {
-            type: 'update-opacity',
-            value: opacity
-        });
+    // 弹窗关闭时停止对应的那一次响铃，并让排队的弹窗补上
+    win.on('closed', () => {
+      if (entry.ring) finishRing(entry.ring);
+      this.entries = this.entries.filter(item => item !== entry);
+      this.flushQueue();
+      this.layout();
+      this.broadcastStack();
+    });
+    this.layout();
+    this.broadcastStack();
+  }
+
+  // 向弹窗发送结构化消息
+  send(entry, message) {
+    if (!entry.ready || !entry.win || entry.win.isDestroyed()) return;
+    try {
+      ipcRenderer.sendTo(entry.win.webContents.id, NOTIFICATION_CHANNEL, message);
+    } catch (error) {
+      window.logger.error('[通知管理] 发送弹窗内容失败:', error);
     }
-};
+  }
 
-/*
- * 功能：创建并显示悬浮窗
- * 参数：无
- * 返回值：BrowserWindow 实例或 null
- * 创建日期：2025-12-01
- * 更新日期：2025-12-16 简化实现，提升稳定性
- */
-window.openFloatingWindow = () => {
-  try {
-    // 避免并发创建
-    if (window.__floatingOpening) {
-      try { window.logger.log('[悬浮窗] open: 正在创建中，忽略本次调用'); } catch (_) {}
-      return window.floatingWin || null;
+  getTotal() {
+    return this.entries.length + this.queue.length;
+  }
+
+  // 有空位时打开排队的弹窗
+  flushQueue() {
+    while (this.queue.length > 0 && this.entries.length < NOTIFICATION_MAX_VISIBLE) {
+      this.open(this.queue.shift());
     }
+  }
 
-    // 已有窗口时，直接唤醒并纠正位置/层级
-    if (window.floatingWin && !window.floatingWin.isDestroyed()) {
-      try { window.logger.log('[悬浮窗] open: 已存在窗口，执行唤醒'); } catch (_) {}
+  // 通知所有弹窗当前的弹窗总数，用于显示"全部关闭"
+  broadcastStack() {
+    const total = this.getTotal();
+    this.entries.forEach(entry => this.send(entry, { type: 'stack', total }));
+  }
 
+  /*
+   * 功能：按设置的位置重新排列已打开的弹窗
+   * 参数：无
+   * 返回值：无
+   */
+  layout() {
+    const area = getNotificationWorkArea();
+    const position = window.getNotificationPosition();
+    const clamp = (value, min, max) => Math.round(Math.max(min, Math.min(value, max)));
+    let offset = 0;
+    this.entries.forEach((entry, index) => {
+      let x;
+      let y;
+      if (position === 'center') {
+        x = area.x + (area.width - entry.width) / 2 + index * NOTIFICATION_OFFSET;
+        y = area.y + (area.height - entry.height) / 2 + index * NOTIFICATION_OFFSET;
+      } else {
+        x = position.endsWith('right')
+          ? area.x + area.width - entry.width - NOTIFICATION_MARGIN
+          : area.x + NOTIFICATION_MARGIN;
+        y = position.startsWith('top')
+          ? area.y + NOTIFICATION_MARGIN + offset
+          : area.y + area.height - NOTIFICATION_MARGIN - offset - entry.height;
+        offset += entry.height + NOTIFICATION_GAP;
+      }
       try {
-        const st = getFloatingState();
-        if (st && typeof st.x === 'number' && typeof st.y === 'number') {
-          try {
-            const width = FLOATING_WINDOW_WIDTH;
-            const height = FLOATING_WINDOW_HEIGHT;
-            const screenWidth = (window.screen && window.screen.width) || 1920;
-            const screenHeight = (window.screen && window.screen.height) || 1080;
-            let nx = st.x;
-            let ny = st.y;
-
-            // 若上次位置超出当前屏幕范围，则回退到居中位置，避免“看不见但已存在”
-            if (
-              typeof nx !== 'number' || typeof ny !== 'number' ||
-              nx < -width || nx > screenWidth - 20 ||
-              ny < -height || ny > screenHeight - 20
-            ) {
-              nx = Math.floor((screenWidth - width) / 2);
-              ny = Math.floor((screenHeight - height) / 2);
-            }
-
-            window.floatingWin.setPosition(nx, ny);
-          } catch (_) {}
-        }
+        entry.win.setPosition(
+          clamp(x, area.x, area.x + area.width - entry.width),
+          clamp(y, area.y, area.y + area.height - entry.height)
+        );
+      } catch (_) {}
+    });
+  }
 
-        // 显示窗口
-        if (window.floatingWin.showInactive) {
-          window.floatingWin.showInactive();
+  // 关闭某个时间块的弹窗（包括排队中的）
+  closeBlock(blockId) {
+    this.queue = this.queue.filter(entry => {
+      if (entry.blockId !== blockId) return true;
+      if (entry.ring) finishRing(entry.ring);
+      return false;
+    });
+    this.entries
+      .filter(entry => entry.blockId === blockId)
+      .forEach(entry => this.closeEntry(entry));
+  }
+
+  // 关闭弹窗，立即让出位置，不必等窗口真正销毁
+  closeEntry(entry) {
+    this.entries = this.entries.filter(item => item !== entry);
+    if (entry.win && !entry.win.isDestroyed()) entry.win.close();
+  }
+
+  /*
+   * 功能：关闭全部弹窗并清空队列，只关闭窗口并停止响铃；未确认的重复提醒仍按计划再次弹出
+   * 参数：无
+   * 返回值：Number 关闭的弹窗数量
+   */
+  dismissAll() {
+    const queued = this.queue;
+    const opened = [...this.entries];
+    this.queue = [];
+    [...queued, ...opened].forEach(entry => {
+      if (entry.blockId) window.stopBellSound(`block:${entry.blockId}`);
+    });
+    queued.forEach(entry => {
+      if (entry.ring) finishRing(entry.ring);
+    });
+    opened.forEach(entry => this.closeEntry(entry));
+    const count = queued.length + opened.length;
+    window.logger.log(`[通知管理] 已全部关闭，共 ${count} 个弹窗`);
+    return count;
+  }
+}
+
+window.notificationManager = new NotificationManager();
+
+// 弹窗通知（原有的通知系统）
+// options.blockId 存在时，弹窗会显示"稍后提醒"与"完成"操作按钮
+// options.category 存在时，标题上方显示分类标签
+window.sendPopupNotification = (title, body, options = {}) => {
+  window.logger.log(`[弹窗通知] 标题: ${title}, 内容: ${body}`);
+  const withActions = !!options.blockId;
+  const content = { mode: 'alert', title: String(title), body: String(body) };
+  if (options.category) {
+    content.category = { name: options.category.name, icon: options.category.icon, color: options.category.color };
+  }
+  if (withActions) {
+    content.actions = {
+      blockId: options.blockId,
+      task: String(options.task || title),
+      snoozeOptions: window.getSnoozeOptions(),
+      acknowledge: !!options.acknowledge
+    };
+  }
+  window.notificationManager.show(content, {
+    blockId: options.blockId,
+    height: (withActions ? 250 : 200) + (content.category ? 28 : 0),
+    ringKey: options.ringKey
+  });
+};
+
+/*
+ * 功能：弹出错过提醒汇总窗口
+ * 参数：items - Array<{ blockId, task, timeText, count }>；ringKey - 窗口关闭时停止的响铃
+ * 返回值：无
+ * 创建日期：2026-10-18
+ */
+window.sendMissedAlertsSummary = (items, ringKey) => {
+  if (!Array.isArray(items) || items.length === 0) return;
+  window.logger.log(`[错过提醒] 弹出汇总窗口，共 ${items.length} 项`);
+  window.notificationManager.show({
+    mode: 'summary',
+    title: '错过的提醒',
+    body: `你离开期间有 ${items.length} 项提醒未响起`,
+    items,
+    snoozeOptions: window.getSnoozeOptions()
+  }, {
+    width: 420,
+    height: Math.min(560, 170 + items.length * 56),
+    ringKey
+  });
+};
+
+/*
+ * 提醒渠道
+ * popup - 提醒弹窗；system - 系统通知；sound - 铃声；flash - 悬浮窗闪烁抖动，可任意组合。
+ * 全局默认保存在 globalSettings.notificationChannels，时间块可用 block.channels 单独指定（未设置时跟随全局）。
+ * 免打扰期间按免打扰设置对所有渠道生效：不提醒、去掉铃声后提醒，或暂存到免打扰结束后补发（见 DndManager）。
+ * 创建日期：2026-10-18
+ */
+const NOTIFICATION_CHANNELS = { popup: '弹窗', system: '系统通知', sound: '铃声', flash: '悬浮窗闪烁' };
+const DEFAULT_NOTIFICATION_CHANNELS = ['popup', 'sound'];
+
+// 过滤无效渠道并按固定顺序排列，为空时返回 null
+function normalizeChannels(channels) {
+  if (!Array.isArray(channels)) return null;
+  const valid = Object.keys(NOTIFICATION_CHANNELS).filter(channel => channels.includes(channel));
+  return valid.length > 0 ? valid : null;
+}
+
+/*
+ * 功能：读取全局默认提醒渠道
+ * 参数：无
+ * 返回值：Array<String>
+ * 创建日期：2026-10-18
+ */
+window.getDefaultChannels = () => {
+  const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+  return normalizeChannels(settings.notificationChannels) || [...DEFAULT_NOTIFICATION_CHANNELS];
+};
+
+/*
+ * 功能：保存全局默认提醒渠道
+ * 参数：channels - 渠道数组，至少选择一项
+ * 返回值：Boolean 是否保存成功
+ * 创建日期：2026-10-18
+ */
+window.saveDefaultChannels = (channels) => {
+  const normalized = normalizeChannels(channels);
+  if (!normalized) {
+    window.showToast('请至少选择一种提醒方式', 'error');
+    return false;
+  }
+  const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+  settings.notificationChannels = normalized;
+  window.utools.dbStorage.setItem('globalSettings', settings);
+  window.showToast(`默认提醒方式：${window.describeChannels(normalized)}`);
+  return true;
+};
+
+// 时间块实际使用的提醒渠道
+window.getBlockChannels = (block) => normalizeChannels(block && block.channels) || window.getDefaultChannels();
+
+// 提醒渠道的中文描述，如"弹窗 + 铃声"
+window.describeChannels = (channels) => (normalizeChannels(channels) || window.getDefaultChannels())
+  .map(channel => NOTIFICATION_CHANNELS[channel])
+  .join(' + ');
+
+/*
+ * 功能：让悬浮窗闪烁抖动并临时显示提醒内容
+ * 参数：title - 标题；body - 内容
+ * 返回值：Boolean 悬浮窗未打开时返回 false
+ * 创建日期：2026-10-18
+ */
+window.flashFloatingWindow = (title, body) => {
+  if (!window.floatingWin || window.floatingWin.isDestroyed()) {
+    window.logger.warn(`[悬浮窗闪烁] 悬浮窗未打开，跳过: ${title}`);
+    return false;
+  }
+  try {
+    ipcRenderer.sendTo(window.floatingWin.webContents.id, 'widget-message', { type: 'flash', title, body });
+    return true;
+  } catch (error) {
+    window.logger.error('[悬浮窗闪烁] 发送失败:', error);
+    return false;
+  }
+};
+
+/*
+ * 功能：统一的提醒发送接口，按渠道分发
+ * 参数：title - 标题；body - 内容
+ *       options - { channels, sound, ringKey, missedItems, blockId, task, acknowledge, escalationPolicy }
+ *         channels 不传时使用全局默认；sound 为铃声设置，ringKey 为响铃标识；
+ *         missedItems 存在时弹窗渠道显示错过提醒汇总；escalationPolicy 供免打扰补发后开始重复提醒；其余参数传给提醒弹窗
+ * 返回值：Object { channels: 实际发出的渠道, ringKey, deferred: 是否已暂存到免打扰结束后 }
+ * 更新日期：2026-10-18 支持多渠道与免打扰
+ */
+window.sendNotification = (title, body, options = {}) => {
+  let channels = normalizeChannels(options.channels) || window.getDefaultChannels();
+  const dnd = window.dndManager.getState();
+  if (dnd.active && dnd.mode === 'defer') {
+    window.dndManager.defer(title, body, options);
+    return { channels: [], ringKey: null, deferred: true };
+  }
+  if (dnd.active && dnd.mode === 'silence') {
+    channels = channels.filter(channel => channel !== 'sound');
+    window.logger.log(`[免打扰] 静音提醒: ${title} ${body}`);
+  }
+  if (dnd.active && (dnd.mode === 'suppress' || channels.length === 0)) {
+    window.logger.log(`[免打扰] 已跳过提醒: ${title} ${body}`);
+    return { channels: [], ringKey: null };
+  }
+
+  const delivered = [];
+  let ringKey = null;
+  if (channels.includes('sound')) {
+    let sound = options.sound || {};
+    // 没有弹窗可关闭时，"直到关闭弹窗"只响一遍
+    if (!channels.includes('popup') && normalizeSound({ ...window.getDefaultSound(), ...sound }).repeat === 0) {
+      sound = { ...sound, repeat: 1 };
+    }
+    ringKey = window.playBellSound(sound, options.ringKey);
+    delivered.push('sound');
+  }
+  if (channels.includes('popup')) {
+    if (options.missedItems) {
+      window.sendMissedAlertsSummary(options.missedItems, ringKey);
+    } else {
+      window.sendPopupNotification(title, body, { ...options, ringKey });
+    }
+    delivered.push('popup');
+  }
+  if (channels.includes('system')) {
+    window.sendSystemNotification(title, body);
+    delivered.push('system');
+  }
+  if (channels.includes('flash') && window.flashFloatingWindow(title, body)) {
+    delivered.push('flash');
+  }
+  return { channels: delivered, ringKey };
+};
+
+// 监听弹窗中的操作按钮（通过 utools.sendToParent 发送）
+ipcRenderer.on('notification-action', (event, message) => {
+  try {
+    if (!message || !message.action) return;
+    window.logger.log(`[通知窗口] 收到操作: ${message.action}, 时间块: ${message.blockId || '无'}`);
+    if (message.action === 'dismiss-all') {
+      window.notificationManager.dismissAll();
+      return;
+    }
+    if (window.alertManager) {
+      window.alertManager.handleAction(message.action, message.blockId, message);
+    }
+  } catch (error) {
+    window.logger.error('[通知窗口] 处理操作失败:', error);
+  }
+});
+
+// 悬浮窗运行态标记
+if (typeof window.__floatingVisible === 'undefined') window.__floatingVisible = false;
+if (typeof window.__floatingOpening === 'undefined') window.__floatingOpening = false;
+if (typeof window.__floatingWindows === 'undefined') window.__floatingWindows = [];
+const FLOATING_WINDOW_WIDTH = 360;
+const FLOATING_WINDOW_HEIGHT = 45;
+
+/*
+ * 悬浮窗日程面板
+ * 展开模式下，悬浮窗在当前任务下方列出接下来 24 小时内最近的几个提醒及倒计时；
+ * 展开/收起保存在 floatingWindowState.expanded，展开时窗口在任务栏下方增加日程面板的高度（与 floating.html 中的样式一致）。
+ * 创建日期：2026-10-18
+ */
+const FLOATING_AGENDA_SIZE = 5;
+const FLOATING_AGENDA_HORIZON_MS = 24 * 60 * 60 * 1000;
+const FLOATING_AGENDA_HEIGHT = 155;
+
+// 按显示模式、皮肤和展开状态返回悬浮窗内容尺寸
+function getFloatingWindowSize() {
+  const clock = window.getFloatingMode();
+  if (clock.mode !== 'bar') {
+    const { width, height } = getFloatingClockLayout(clock);
+    return { width, height };
+  }
+  const state = getFloatingState();
+  const skin = window.getFloatingSkin();
+  return {
+    width: skin.width,
+    height: skin.height + (state && state.expanded ? FLOATING_AGENDA_HEIGHT : 0)
+  };
+}
+
+/*
+ * 功能：计算悬浮窗日程面板的数据
+ * 参数：now - 当前时间，默认现在
+ * 返回值：Array<{ id, name, startAt, timeText, category }> 按时间排序，最多 FLOATING_AGENDA_SIZE 项
+ * 创建日期：2026-10-18
+ */
+function getFloatingAgenda(now = new Date()) {
+  const horizon = now.getTime() + FLOATING_AGENDA_HORIZON_MS;
+  return window.getTimeSettings()
+    .filter(isBlockCategoryEnabled)
+    .map(block => ({ block, at: window.alertManager ? window.alertManager.getUpcomingOccurrence(block, now) : getNextOccurrenceDate(block, now) }))
+    .filter(item => item.at && item.at.getTime() <= horizon)
+    .sort((a, b) => a.at.getTime() - b.at.getTime())
+    .slice(0, FLOATING_AGENDA_SIZE)
+    .map(({ block, at }) => {
+      const category = window.getBlockCategory(block);
+      return {
+        id: block.id,
+        name: block.task,
+        startAt: at.getTime(),
+        timeText: `${at.toDateString() === now.toDateString() ? '' : '明天 '}${window.formatTimeOfDay(at)}`,
+        category: category ? { name: category.name, icon: category.icon, color: category.color } : null
+      };
+    });
+}
+
+/*
+ * 功能：切换悬浮窗的紧凑/展开模式，保持窗口左上角位置不变
+ * 参数：expanded - 是否展开日程面板
+ * 返回值：无
+ * 创建日期：2026-10-18
+ */
+window.setFloatingExpanded = (expanded) => {
+  persistFloatingState({ expanded: !!expanded });
+  try { window.logger.log(`[悬浮窗] ${expanded ? '展开' : '收起'}日程面板`); } catch (_) {}
+  refitFloatingWindow();
+  try { window.pushFloatingData(); } catch (_) {}
+};
+
+// 尺寸变化后按新尺寸重新贴边或收回所在显示器的工作区内（展开后超出底部时上移）
+function refitFloatingWindow() {
+  const win = window.floatingWin;
+  if (!win || win.isDestroyed()) return;
+  try {
+    const bounds = getFloatingBounds(win);
+    const workArea = getFloatingDisplay(bounds).workArea;
+    const pos = floatingDock.edge
+      ? getDockedPosition(floatingDock.edge, floatingDock.hidden, bounds.x, bounds.y, bounds, workArea)
+      : clampToWorkArea(bounds.x, bounds.y, bounds, workArea);
+    setFloatingBounds(win, pos.x, pos.y);
+  } catch (_) {}
+}
+
+/*
+ * 悬浮窗贴边与多显示器
+ * 拖动结束后由主窗口按悬浮窗所在显示器的工作区判断是否靠近上下左右某条边，靠近则贴边；
+ * 鼠标移开后收起，只露出 FLOATING_PEEK_SIZE 像素的把手。与相邻显示器相接的边不贴靠。
+ * 位置按显示器分别记录在 floatingWindowState.displays：{ [显示器键]: { x, y, edge } }，lastDisplay 为最后所在的显示器；
+ * 显示器键取显示器的 bounds（重新插拔后 ID 可能变化）。记录的显示器已断开时改用主显示器上的位置；
+ * 悬浮窗打开期间定时检查显示器变化，窗口已不在任何显示器上时按记录移回。
+ * 坐标均为 DIP，混合缩放的显示器之间由系统换算。
+ * 创建日期：2026-10-18
+ */
+const FLOATING_SNAP_THRESHOLD = 50;
+const FLOATING_PEEK_SIZE = 10;
+const FLOATING_DISPLAY_CHECK_INTERVAL = 3000;
+const FLOATING_EDGES = ['left', 'right', 'top', 'bottom'];
+let floatingDock = { edge: null, hidden: false };
+let floatingDisplayTimer = null;
+let floatingDisplaySignature = '';
+
+function getDisplayKey(display) {
+  const b = display.bounds;
+  return `${b.x},${b.y},${b.width}x${b.height}`;
+}
+
+function getAllDisplaysSafe() {
+  try {
+    const displays = window.utools.getAllDisplays();
+    if (Array.isArray(displays) && displays.length > 0) return displays;
+  } catch (_) {}
+  const workArea = getNotificationWorkArea();
+  return [{ id: 0, bounds: workArea, workArea }];
+}
+
+function getPrimaryDisplaySafe() {
+  try {
+    const display = window.utools.getPrimaryDisplay();
+    if (display && display.workArea) return display;
+  } catch (_) {}
+  return getAllDisplaysSafe()[0];
+}
+
+// 与窗口重叠面积最大的显示器，没有重叠时取最近的
+function getFloatingDisplay(bounds) {
+  try {
+    const display = window.utools.getDisplayMatching(bounds);
+    if (display && display.workArea) return display;
+  } catch (_) {}
+  return getPrimaryDisplaySafe();
+}
+
+function intersects(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+function clampToWorkArea(x, y, size, workArea) {
+  return {
+    x: Math.min(Math.max(x, workArea.x), workArea.x + workArea.width - size.width),
+    y: Math.min(Math.max(y, workArea.y), workArea.y + workArea.height - size.height)
+  };
+}
+
+/*
+ * 功能：计算贴边时的窗口位置，沿边方向保持在工作区内
+ * 参数：edge - 'left' | 'right' | 'top' | 'bottom'；hidden - 是否收起为把手；x, y - 当前位置；size - 窗口尺寸；workArea - 所在显示器工作区
+ * 返回值：{ x, y }
+ * 创建日期：2026-10-18
+ */
+function getDockedPosition(edge, hidden, x, y, size, workArea) {
+  const pos = clampToWorkArea(x, y, size, workArea);
+  const right = workArea.x + workArea.width;
+  const bottom = workArea.y + workArea.height;
+  if (edge === 'left') pos.x = hidden ? workArea.x - size.width + FLOATING_PEEK_SIZE : workArea.x;
+  if (edge === 'right') pos.x = hidden ? right - FLOATING_PEEK_SIZE : right - size.width;
+  if (edge === 'top') pos.y = hidden ? workArea.y - size.height + FLOATING_PEEK_SIZE : workArea.y;
+  if (edge === 'bottom') pos.y = hidden ? bottom - FLOATING_PEEK_SIZE : bottom - size.height;
+  return pos;
+}
+
+// 显示器的这条边外侧是否紧挨着另一台显示器（允许 2 像素的缩放误差）
+function hasNeighbourDisplay(display, edge, displays) {
+  const a = display.bounds;
+  return displays.some(other => {
+    const b = other.bounds;
+    if (getDisplayKey(other) === getDisplayKey(display)) return false;
+    const overlapX = a.x < b.x + b.width && b.x < a.x + a.width;
+    const overlapY = a.y < b.y + b.height && b.y < a.y + a.height;
+    if (edge === 'left') return overlapY && Math.abs(b.x + b.width - a.x) <= 2;
+    if (edge === 'right') return overlapY && Math.abs(a.x + a.width - b.x) <= 2;
+    if (edge === 'top') return overlapX && Math.abs(b.y + b.height - a.y) <= 2;
+    return overlapX && Math.abs(a.y + a.height - b.y) <= 2;
+  });
+}
+
+// 距离工作区边缘最近且不足 FLOATING_SNAP_THRESHOLD（或已越过）的边，没有则返回 null
+function findSnapEdge(bounds, display) {
+  const workArea = display.workArea;
+  const displays = getAllDisplaysSafe();
+  const distances = {
+    left: bounds.x - workArea.x,
+    right: workArea.x + workArea.width - (bounds.x + bounds.width),
+    top: bounds.y - workArea.y,
+    bottom: workArea.y + workArea.height - (bounds.y + bounds.height)
+  };
+  let edge = null;
+  FLOATING_EDGES.forEach(key => {
+    if (distances[key] >= FLOATING_SNAP_THRESHOLD || hasNeighbourDisplay(display, key, displays)) return;
+    if (!edge || distances[key] < distances[edge]) edge = key;
+  });
+  return edge;
+}
+
+function getFloatingBounds(win) {
+  const [x, y] = win.getPosition();
+  return { x, y, ...getFloatingWindowSize() };
+}
+
+// 统一用内容边界设置位置并锁定尺寸，避免跨显示器缩放时窗口变大
+function setFloatingBounds(win, x, y) {
+  const bounds = { x: Math.round(x), y: Math.round(y), ...getFloatingWindowSize() };
+  try {
+    win.setContentBounds(bounds);
+  } catch (_) {
+    win.setBounds(bounds);
+  }
+}
+
+// 记录悬浮窗在当前显示器上的位置；收起状态下记录展开后的贴边位置
+function rememberFloatingPosition(win) {
+  const bounds = getFloatingBounds(win);
+  const display = getFloatingDisplay(bounds);
+  let { x, y } = bounds;
+  if (floatingDock.edge && floatingDock.hidden) {
+    ({ x, y } = getDockedPosition(floatingDock.edge, false, x, y, bounds, display.workArea));
+  }
+  const key = getDisplayKey(display);
+  const displays = { ...(getFloatingState().displays || {}), [key]: { x, y, edge: floatingDock.edge } };
+  persistFloatingState({ displays, lastDisplay: key });
+}
+
+/*
+ * 功能：计算打开悬浮窗时的位置：优先使用最后所在显示器上的记录，该显示器已断开时使用主显示器上的记录，都没有时居中
+ * 参数：size - 窗口尺寸
+ * 返回值：{ x, y, edge }
+ * 创建日期：2026-10-18
+ */
+function getFloatingRestorePosition(size) {
+  const state = getFloatingState() || {};
+  const saved = state.displays || {};
+  let display = state.lastDisplay ? getAllDisplaysSafe().find(item => getDisplayKey(item) === state.lastDisplay) : null;
+  let entry = display ? saved[state.lastDisplay] : null;
+  if (!display && !state.lastDisplay && typeof state.x === 'number' && typeof state.y === 'number') {
+    // 旧版本只记录了一个 x、y
+    entry = { x: state.x, y: state.y, edge: null };
+    display = getFloatingDisplay({ x: state.x, y: state.y, ...size });
+  }
+  if (!display) {
+    display = getPrimaryDisplaySafe();
+    entry = saved[getDisplayKey(display)] || null;
+  }
+
+  const workArea = display.workArea;
+  if (!entry) {
+    return {
+      x: workArea.x + Math.floor((workArea.width - size.width) / 2),
+      y: workArea.y + Math.floor((workArea.height - size.height) / 2),
+      edge: null
+    };
+  }
+  const edge = FLOATING_EDGES.includes(entry.edge) ? entry.edge : null;
+  const pos = edge
+    ? getDockedPosition(edge, false, entry.x, entry.y, size, workArea)
+    : clampToWorkArea(entry.x, entry.y, size, workArea);
+  return { ...pos, edge };
+}
+
+function notifyFloatingDock(win, reason) {
+  try {
+    ipcRenderer.sendTo(win.webContents.id, 'widget-message', { type: 'dock', edge: floatingDock.edge, hidden: floatingDock.hidden, reason });
+  } catch (_) {}
+}
+
+/*
+ * 功能：处理悬浮窗的贴边请求
+ * 参数：type - 'dock-check' 拖动结束后判断贴边 | 'dock-hide' 收起为把手 | 'dock-reveal' 鼠标移入时展开
+ * 返回值：无
+ * 创建日期：2026-10-18
+ */
+function handleFloatingDock(type) {
+  const win = window.floatingWin;
+  if (!win || win.isDestroyed()) return;
+  const bounds = getFloatingBounds(win);
+  const display = getFloatingDisplay(bounds);
+
+  if (type === 'dock-check') {
+    floatingDock = { edge: findSnapEdge(bounds, display), hidden: false };
+    if (floatingDock.edge) {
+      const pos = getDockedPosition(floatingDock.edge, false, bounds.x, bounds.y, bounds, display.workArea);
+      setFloatingBounds(win, pos.x, pos.y);
+    }
+    rememberFloatingPosition(win);
+  } else if (type === 'dock-hide' || type === 'dock-reveal') {
+    const hidden = type === 'dock-hide';
+    if (!floatingDock.edge || floatingDock.hidden === hidden) return;
+    floatingDock.hidden = hidden;
+    const pos = getDockedPosition(floatingDock.edge, hidden, bounds.x, bounds.y, bounds, display.workArea);
+    setFloatingBounds(win, pos.x, pos.y);
+  } else {
+    return;
+  }
+  notifyFloatingDock(win, type);
+}
+
+// 显示器增减或分辨率变化后，把悬浮窗收回可见区域
+function checkFloatingDisplays() {
+  const win = window.floatingWin;
+  if (!win || win.isDestroyed()) {
+    stopFloatingDisplayWatch();
+    return;
+  }
+  const displays = getAllDisplaysSafe();
+  const signature = getDisplaysSignature(displays);
+  if (signature === floatingDisplaySignature) return;
+  floatingDisplaySignature = signature;
+
+  try {
+    const bounds = getFloatingBounds(win);
+    let pos;
+    if (displays.some(display => intersects(bounds, display.workArea))) {
+      const workArea = getFloatingDisplay(bounds).workArea;
+      pos = floatingDock.edge
+        ? getDockedPosition(floatingDock.edge, floatingDock.hidden, bounds.x, bounds.y, bounds, workArea)
+        : clampToWorkArea(bounds.x, bounds.y, bounds, workArea);
+    } else {
+      pos = getFloatingRestorePosition(bounds);
+      floatingDock = { edge: pos.edge, hidden: false };
+    }
+    window.logger.log(`[悬浮窗] 显示器变化，调整位置到 (${pos.x}, ${pos.y})`);
+    setFloatingBounds(win, pos.x, pos.y);
+    notifyFloatingDock(win, 'display-change');
+  } catch (_) {}
+}
+
+function getDisplaysSignature(displays) {
+  return displays.map(display => `${getDisplayKey(display)}/${display.workArea.width}x${display.workArea.height}`).join('|');
+}
+
+function startFloatingDisplayWatch() {
+  stopFloatingDisplayWatch();
+  floatingDisplaySignature = getDisplaysSignature(getAllDisplaysSafe());
+  floatingDisplayTimer = setInterval(checkFloatingDisplays, FLOATING_DISPLAY_CHECK_INTERVAL);
+}
+
+function stopFloatingDisplayWatch() {
+  if (floatingDisplayTimer) clearInterval(floatingDisplayTimer);
+  floatingDisplayTimer = null;
+}
+
+/*
+ * 悬浮窗快捷操作
+ * 悬浮窗通过 widget-action 通道发送 { type, blockId, minutes }，在不打开主界面的情况下
+ * 稍后提醒或完成当前任务、跳过下一个提醒、开关全局提醒、开始快速计时，或打开主界面定位到时间块。
+ * 处理结果以 { type: 'notice', text } 回传悬浮窗短暂显示。
+ * 创建日期：2026-10-18
+ */
+const FLOATING_QUICK_TIMER_MINUTES = [5, 10, 25];
+
+function sendFloatingNotice(text) {
+  try {
+    if (window.floatingWin && !window.floatingWin.isDestroyed()) {
+      ipcRenderer.sendTo(window.floatingWin.webContents.id, 'widget-message', { type: 'notice', text });
+    }
+  } catch (_) {}
+}
+
+// 显示主界面并在时间轴中定位时间块
+function showMainWindowAt(blockId) {
+  try { window.utools.showMainWindow(); } catch (_) {}
+  const app = document.getElementById('app');
+  if (app) app.style.display = 'block';
+  if (blockId && typeof window.focusTimeBlock === 'function') {
+    setTimeout(() => window.focusTimeBlock(blockId), 100);
+  }
+}
+
+/*
+ * 功能：处理悬浮窗发来的快捷操作
+ * 参数：action - { type: 'snooze' | 'complete' | 'skip-next' | 'toggle-alerts' | 'quick-timer' | 'open-main', blockId, minutes }
+ * 返回值：String|null 回传悬浮窗的提示文字，无法识别的操作返回 null
+ * 创建日期：2026-10-18
+ */
+window.handleFloatingAction = (action) => {
+  if (!action || !action.type) return null;
+  const block = action.blockId ? window.getTimeSettings().find(item => item.id === action.blockId) : null;
+  let notice = null;
+
+  if (action.type === 'snooze' || action.type === 'complete') {
+    if (!block) {
+      notice = '当前没有进行中的任务';
+    } else if (action.type === 'snooze') {
+      const minutes = window.getSnoozeOptions()[0];
+      window.alertManager.handleAction('snooze', block.id, { minutes, task: block.task });
+      notice = `${minutes}分钟后再次提醒`;
+    } else {
+      window.alertManager.handleAction('complete', block.id, { task: block.task });
+      notice = `已完成：${block.task}`;
+    }
+  } else if (action.type === 'skip-next') {
+    const skipped = block ? window.alertManager.skipNextOccurrence(block.id) : null;
+    notice = skipped ? `已跳过 ${window.formatTimeOfDay(skipped)} ${block.task}` : '没有可跳过的提醒';
+  } else if (action.type === 'toggle-alerts') {
+    const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+    const enabled = settings.globalAlertEnabled === false;
+    window.setGlobalAlertEnabled(enabled);
+    notice = enabled ? '已开启全部提醒' : '已关闭全部提醒';
+  } else if (action.type === 'quick-timer') {
+    const minutes = FLOATING_QUICK_TIMER_MINUTES.includes(action.minutes) ? action.minutes : FLOATING_QUICK_TIMER_MINUTES[0];
+    window.countdownManager.add(`${minutes}分钟计时`, minutes * 60000);
+    notice = `${minutes}分钟计时已开始`;
+  } else if (action.type === 'open-main') {
+    showMainWindowAt(block ? block.id : null);
+  } else {
+    return null;
+  }
+
+  window.logger.log(`[悬浮窗] 快捷操作: ${action.type}${block ? ` ${block.task}` : ''}`);
+  if (typeof window.renderTimeline === 'function') {
+    try {
+      window.renderTimeline();
+      window.renderTimeBlockList();
+    } catch (_) {}
+  }
+  try { window.pushFloatingData(); } catch (_) {}
+  if (notice) sendFloatingNotice(notice);
+  return notice;
+};
+
+// 监听来自悬浮窗的操作请求（如移动窗口）
+ipcRenderer.on('widget-action', (event, action) => {
+    if (!window.floatingWin || window.floatingWin.isDestroyed()) {
+        return;
+    }
+
+    try {
+        if (action.type === 'move') {
+            const { x, y } = action;
+            window.floatingWin.setPosition(Math.round(x), Math.round(y));
+        } else if (String(action.type).startsWith('dock-')) {
+            handleFloatingDock(action.type);
+        } else if (action.type === 'clock-resize') {
+            resizeFloatingClock(action.delta);
         } else {
-          window.floatingWin.show();
+            window.handleFloatingAction(action);
+        }
+    } catch (e) {
+        // 忽略移动过程中的异常，避免影响主流程
+    }
+});
+
+// 监听来自悬浮窗的通用消息（使用 utools 官方窗口通信通道）
+ipcRenderer.on('widget-message', (event, message) => {
+    try {
+        if (!message) return;
+        if (message.type === 'close-floating') {
+            // 悬浮窗内部请求关闭，统一走主窗口关闭逻辑，确保状态持久化
+            if (typeof window.closeFloatingWindow === 'function') {
+                window.closeFloatingWindow();
+            }
+        } else if (message.type === 'toggle-expanded') {
+            window.setFloatingExpanded(!getFloatingState().expanded);
+        }
+    } catch (_) {}
+});
+
+/*
+ * 功能：处理悬浮窗透明度变更
+ * 参数：value - 透明度值 (0.1 - 1.0)
+ * 创建日期：2025-12-05
+ */
+window.handleFloatingOpacityChange = (value) => {
+    const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+    const opacity = parseFloat(value);
+    settings.floatingOpacity = opacity;
+    window.utools.dbStorage.setItem('globalSettings', settings);
+    
+    // 实时更新悬浮窗透明度 - 通过 IPC 发送给页面 CSS 控制
+    // 避免直接使用 win.setOpacity 导致 Windows 下透明窗口渲染问题
+    if (window.floatingWin && !window.floatingWin.isDestroyed()) {
+        // window.floatingWin.setOpacity(opacity); // 禁用原生方法
+        ipcRenderer.sendTo(window.floatingWin.webContents.id, 'widget-message', {
+            type: 'update-opacity',
+            value: opacity
+        });
+    }
+};
+
+/*
+ * 悬浮窗皮肤
+ * 内置若干皮肤，用户可在所选皮肤基础上自定义背景色、文字颜色、字号和宽度。
+ * 保存在 globalSettings：floatingSkin 为皮肤 ID，floatingSkinOverrides 为与该皮肤不同的字段 { bgStart, bgEnd, textColor, fontSize, width }。
+ * 悬浮窗和设置页预览都通过 getFloatingSkinVars 得到的 CSS 变量渲染；变更后以 update-skin 消息推送给悬浮窗。
+ * 窗口高度由字号决定，不低于 FLOATING_WINDOW_HEIGHT。
+ * 创建日期：2026-10-18
+ */
+const FLOATING_SKINS = [
+  { id: 'default', name: '默认', bgStart: '#4f46e5', bgEnd: '#06b6d4', textColor: '#ffffff', fontSize: 16, width: FLOATING_WINDOW_WIDTH, font: 'sans' },
+  { id: 'minimal', name: '极简', bgStart: '#ffffff', bgEnd: '#ffffff', textColor: '#262626', fontSize: 14, width: 300, font: 'sans' },
+  { id: 'dark', name: '暗黑', bgStart: '#1f1f1f', bgEnd: '#141414', textColor: '#e8e8e8', fontSize: 16, width: FLOATING_WINDOW_WIDTH, font: 'sans' },
+  { id: 'clock-face', name: '表盘', bgStart: '#fdf6e3', bgEnd: '#eee3c4', textColor: '#3b2f1e', fontSize: 16, width: 420, font: 'serif', showClock: true },
+  { id: 'large-digits', name: '大字', bgStart: '#000000', bgEnd: '#1f1f1f', textColor: '#52c41a', fontSize: 28, width: 480, font: 'mono' }
+];
+const FLOATING_SKIN_FIELDS = ['bgStart', 'bgEnd', 'textColor', 'fontSize', 'width'];
+const FLOATING_SKIN_FONT_SIZE_RANGE = [12, 32];
+const FLOATING_SKIN_WIDTH_RANGE = [240, 600];
+const FLOATING_SKIN_FONTS = {
+  sans: '"Microsoft YaHei", sans-serif',
+  serif: 'Georgia, "Songti SC", serif',
+  mono: 'Consolas, "SF Mono", monospace'
+};
+
+window.getFloatingSkins = () => FLOATING_SKINS.map(skin => ({ ...skin }));
+
+// 根据字号计算任务栏高度
+function getFloatingBarHeight(fontSize) {
+  return Math.max(FLOATING_WINDOW_HEIGHT, Math.round(fontSize * 2.4));
+}
+
+/*
+ * 功能：获取当前生效的悬浮窗皮肤（内置皮肤叠加自定义字段）
+ * 参数：无
+ * 返回值：Object { id, name, bgStart, bgEnd, textColor, fontSize, width, height, font, showClock, overrides }
+ * 创建日期：2026-10-18
+ */
+window.getFloatingSkin = () => {
+  const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+  const base = FLOATING_SKINS.find(skin => skin.id === settings.floatingSkin) || FLOATING_SKINS[0];
+  const overrides = settings.floatingSkinOverrides || {};
+  const skin = { ...base, overrides: {} };
+  FLOATING_SKIN_FIELDS.forEach(field => {
+    if (overrides[field] !== undefined && overrides[field] !== base[field]) {
+      skin[field] = overrides[field];
+      skin.overrides[field] = overrides[field];
+    }
+  });
+  skin.height = getFloatingBarHeight(skin.fontSize);
+  return skin;
+};
+
+// 相对亮度，用于在浅色背景上改用深色的边框和按钮底色
+function isLightColor(color) {
+  const value = parseInt(color.slice(1), 16);
+  const r = value >> 16, g = (value >> 8) & 0xff, b = value & 0xff;
+  return (r * 299 + g * 587 + b * 114) / 1000 > 160;
+}
+
+/*
+ * 功能：把皮肤转换为 floating.html 使用的 CSS 变量
+ * 参数：skin - getFloatingSkin 的返回值，或设置页预览中尚未保存的皮肤字段
+ * 返回值：Object { '--skin-bg': String, ... }
+ * 创建日期：2026-10-18
+ */
+window.getFloatingSkinVars = (skin) => {
+  const light = isLightColor(skin.bgStart);
+  return {
+    '--skin-bg': `linear-gradient(135deg, ${skin.bgStart} 0%, ${skin.bgEnd} 100%)`,
+    '--skin-text': skin.textColor,
+    '--skin-text-shadow': light ? 'none' : '0 1px 2px rgba(0,0,0,0.35)',
+    '--skin-border': light ? 'rgba(0, 0, 0, 0.12)' : 'rgba(255, 255, 255, 0.22)',
+    '--skin-shadow': light ? '0 4px 12px rgba(0, 0, 0, 0.15)' : `0 8px 20px ${skin.bgEnd}40`,
+    '--skin-control': light ? 'rgba(0, 0, 0, 0.08)' : 'rgba(255, 255, 255, 0.18)',
+    '--skin-font': FLOATING_SKIN_FONTS[skin.font] || FLOATING_SKIN_FONTS.sans,
+    '--skin-font-size': `${skin.fontSize}px`,
+    '--skin-width': `${skin.width}px`,
+    '--bar-height': `${getFloatingBarHeight(skin.fontSize)}px`
+  };
+};
+
+// update-skin 消息，创建窗口时也通过 URL 参数传入，避免先以默认皮肤闪现
+function getFloatingSkinMessage() {
+  const skin = window.getFloatingSkin();
+  return { type: 'update-skin', id: skin.id, showClock: !!skin.showClock, vars: window.getFloatingSkinVars(skin) };
+}
+
+function sendFloatingSkin(win) {
+  if (!win || win.isDestroyed()) return;
+  try {
+    ipcRenderer.sendTo(win.webContents.id, 'widget-message', getFloatingSkinMessage());
+  } catch (_) {}
+}
+
+/*
+ * 功能：保存悬浮窗皮肤并应用到已打开的悬浮窗（调整窗口尺寸后推送 update-skin）
+ * 参数：options - { id, bgStart, bgEnd, textColor, fontSize, width }，与所选内置皮肤相同的字段不记为自定义
+ * 返回值：Boolean 是否保存成功
+ * 创建日期：2026-10-18
+ */
+window.saveFloatingSkin = (options = {}) => {
+  const base = FLOATING_SKINS.find(skin => skin.id === options.id);
+  if (!base) {
+    window.showToast('未知的悬浮窗皮肤', 'error');
+    return false;
+  }
+  const overrides = {};
+  for (const field of ['bgStart', 'bgEnd', 'textColor']) {
+    if (options[field] === undefined) continue;
+    const color = normalizeCategoryColor(options[field]);
+    if (!color) {
+      window.showToast('颜色格式应为 #RRGGBB', 'error');
+      return false;
+    }
+    if (color !== base[field]) overrides[field] = color;
+  }
+  const ranges = { fontSize: [FLOATING_SKIN_FONT_SIZE_RANGE, '字号'], width: [FLOATING_SKIN_WIDTH_RANGE, '宽度'] };
+  for (const field of Object.keys(ranges)) {
+    if (options[field] === undefined) continue;
+    const [[min, max], label] = ranges[field];
+    const value = Number(options[field]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      window.showToast(`${label}应为 ${min}-${max} 之间的整数`, 'error');
+      return false;
+    }
+    if (value !== base[field]) overrides[field] = value;
+  }
+
+  const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+  settings.floatingSkin = base.id;
+  settings.floatingSkinOverrides = overrides;
+  window.utools.dbStorage.setItem('globalSettings', settings);
+  window.logger.log(`[悬浮窗] 皮肤: ${base.name}，自定义字段: ${Object.keys(overrides).join(',') || '无'}`);
+
+  refitFloatingWindow();
+  sendFloatingSkin(window.floatingWin);
+  return true;
+};
+
+/*
+ * 悬浮窗时钟模式
+ * 除默认的任务栏外，悬浮窗可显示为指针时钟或大号数字时钟：带秒针/秒数，下方显示日期和当前任务。
+ * 指针表盘上用圆点标出今天接下来 12 小时内的时间块，数字时钟下方的 24 小时进度条标出今天剩余的时间块，数据取自 getTimelineSnapshot。
+ * 保存在 globalSettings：floatingMode 为 'bar' | 'analog' | 'digital'，floatingClockSize 为时钟宽度（像素）；
+ * 在悬浮窗上按住 Ctrl 滚动滚轮可按 FLOATING_CLOCK_SIZE_STEP 调整大小。时钟模式下不显示日程面板。
+ * 创建日期：2026-10-18
+ */
+const FLOATING_MODES = { bar: '任务栏', analog: '指针时钟', digital: '数字时钟' };
+const FLOATING_CLOCK_SIZE_RANGE = [160, 480];
+const FLOATING_CLOCK_DEFAULT_SIZE = 240;
+const FLOATING_CLOCK_SIZE_STEP = 20;
+const FLOATING_CLOCK_INFO_HEIGHT = 56; // 日期和当前任务两行
+
+window.getFloatingModes = () => Object.keys(FLOATING_MODES).map(id => ({ id, name: FLOATING_MODES[id] }));
+
+/*
+ * 功能：获取悬浮窗显示模式及时钟大小
+ * 参数：无
+ * 返回值：Object { mode: 'bar' | 'analog' | 'digital', size: Number }
+ * 创建日期：2026-10-18
+ */
+window.getFloatingMode = () => {
+  const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+  const [min, max] = FLOATING_CLOCK_SIZE_RANGE;
+  const size = Number.isInteger(settings.floatingClockSize) ? settings.floatingClockSize : FLOATING_CLOCK_DEFAULT_SIZE;
+  return {
+    mode: FLOATING_MODES[settings.floatingMode] ? settings.floatingMode : 'bar',
+    size: Math.min(max, Math.max(min, size))
+  };
+};
+
+// 时钟模式的窗口尺寸：表盘（指针时钟为正方形）加下方的日期与任务；任务栏模式返回 null
+function getFloatingClockLayout({ mode, size }) {
+  if (mode === 'bar') return null;
+  const faceHeight = mode === 'analog' ? size : Math.round(size * 0.3);
+  return { mode, width: size, height: faceHeight + FLOATING_CLOCK_INFO_HEIGHT, faceHeight };
+}
+
+// 表盘标记：今天尚未开始的时间块，minutes 为当天的分钟数
+function getFloatingClockMarkers(snapshot) {
+  return (snapshot.futureBlocks || []).map(block => {
+    const date = new Date(block.startTime);
+    const category = window.getBlockCategory(block);
+    return {
+      id: block.id,
+      name: block.task,
+      minutes: date.getHours() * 60 + date.getMinutes(),
+      color: category ? category.color : null
+    };
+  }).sort((a, b) => a.minutes - b.minutes);
+}
+
+/*
+ * 功能：设置悬浮窗显示模式和时钟大小，并调整已打开悬浮窗的尺寸
+ * 参数：options - { mode, size }，省略的字段保持不变
+ * 返回值：Boolean 是否保存成功
+ * 创建日期：2026-10-18
+ */
+window.setFloatingMode = (options = {}) => {
+  const current = window.getFloatingMode();
+  const mode = options.mode === undefined ? current.mode : options.mode;
+  const size = options.size === undefined ? current.size : Number(options.size);
+  const [min, max] = FLOATING_CLOCK_SIZE_RANGE;
+  if (!FLOATING_MODES[mode]) {
+    window.showToast('未知的悬浮窗样式', 'error');
+    return false;
+  }
+  if (!Number.isInteger(size) || size < min || size > max) {
+    window.showToast(`时钟大小应为 ${min}-${max} 之间的整数`, 'error');
+    return false;
+  }
+
+  const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+  settings.floatingMode = mode;
+  settings.floatingClockSize = size;
+  window.utools.dbStorage.setItem('globalSettings', settings);
+  window.logger.log(`[悬浮窗] 样式: ${FLOATING_MODES[mode]}，时钟大小 ${size}`);
+
+  refitFloatingWindow();
+  try { window.pushFloatingData(); } catch (_) {}
+  return true;
+};
+
+// 悬浮窗上 Ctrl+滚轮调整时钟大小，超出范围时停在边界
+function resizeFloatingClock(delta) {
+  const { mode, size } = window.getFloatingMode();
+  if (mode === 'bar' || !delta) return;
+  const [min, max] = FLOATING_CLOCK_SIZE_RANGE;
+  const next = Math.min(max, Math.max(min, size + Math.sign(delta) * FLOATING_CLOCK_SIZE_STEP));
+  if (next === size) return;
+  window.setFloatingMode({ size: next });
+  if (typeof window.renderFloatingModeSettings === 'function') {
+    try { window.renderFloatingModeSettings(); } catch (_) {}
+  }
+}
+
+/*
+ * 功能：创建并显示悬浮窗
+ * 参数：无
+ * 返回值：BrowserWindow 实例或 null
+ * 创建日期：2025-12-01
+ * 更新日期：2025-12-16 简化实现，提升稳定性
+ */
+window.openFloatingWindow = () => {
+  try {
+    // 避免并发创建
+    if (window.__floatingOpening) {
+      try { window.logger.log('[悬浮窗] open: 正在创建中，忽略本次调用'); } catch (_) {}
+      return window.floatingWin || null;
+    }
+
+    // 已有窗口时，直接唤醒并纠正位置/层级
+    if (window.floatingWin && !window.floatingWin.isDestroyed()) {
+      try { window.logger.log('[悬浮窗] open: 已存在窗口，执行唤醒'); } catch (_) {}
+
+      try {
+        // 按所在显示器的记录恢复位置，显示器已断开时回到主显示器，避免“看不见但已存在”
+        try {
+          const pos = getFloatingRestorePosition(getFloatingWindowSize());
+          floatingDock = { edge: pos.edge, hidden: false };
+          setFloatingBounds(window.floatingWin, pos.x, pos.y);
+          notifyFloatingDock(window.floatingWin, 'restore');
+        } catch (_) {}
+
+        // 显示窗口
+        if (window.floatingWin.showInactive) {
+          window.floatingWin.showInactive();
+        } else {
+          window.floatingWin.show();
+        }
+
+        // 轻量兜底：延时再次置顶和可见性校正
+        setTimeout(() => {
+          try {
+            if (!window.floatingWin || window.floatingWin.isDestroyed()) return;
+            try {
+              window.floatingWin.setAlwaysOnTop(true, 'screen-saver');
+            } catch (_) {
+              try { window.floatingWin.setAlwaysOnTop(true); } catch (_) {}
+            }
+
+            const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+            let opacity = parseFloat(settings.floatingOpacity);
+            if (isNaN(opacity)) opacity = 0.8;
+
+            if (window.floatingWin.webContents) {
+              try {
+                ipcRenderer.sendTo(window.floatingWin.webContents.id, 'widget-message', {
+                  type: 'update-opacity',
+                  value: opacity
+                });
+              } catch (_) {}
+              sendFloatingSkin(window.floatingWin);
+            }
+
+            if (typeof window.floatingWin.isVisible === 'function' && !window.floatingWin.isVisible()) {
+              window.floatingWin.show();
+            }
+          } catch (_) {}
+        }, 100);
+      } catch (e) {
+        try { window.logger.error('[悬浮窗] open: 唤醒现有窗口失败', e); } catch (_) {}
+      }
+
+      persistFloatingState({ visible: true });
+      window.__floatingVisible = true;
+      try { const btn = document.getElementById('floating-toggle-btn'); if (btn) btn.textContent = '隐藏悬浮窗'; } catch (_) {}
+      return window.floatingWin;
+    }
+
+    // 创建新窗口
+    try { window.logger.log('[悬浮窗] open: 开始创建新窗口'); } catch (_) {}
+    window.__floatingOpening = true;
+
+    const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+    let opacity = parseFloat(settings.floatingOpacity);
+    if (isNaN(opacity)) opacity = 0.8;
+    opacity = Math.max(0.1, Math.min(1.0, opacity));
+
+    const skinParam = encodeURIComponent(JSON.stringify(getFloatingSkinMessage()));
+    const floatingPath = `./floating.html?opacity=${opacity}&skin=${skinParam}`;
+    try { window.logger.log(`[悬浮窗] open: 准备创建，透明度=${opacity}`); } catch (_) {}
+
+    const size = getFloatingWindowSize();
+    const win = window.utools.createBrowserWindow(floatingPath, {
+      width: size.width,
+      height: size.height,
+      frame: false,
+      resizable: false,
+      transparent: true,
+      backgroundColor: '#00000000',
+      alwaysOnTop: true,
+      skipTaskbar: true,
+      show: false,
+      useContentSize: true,
+      thickFrame: false,
+      hasShadow: false,
+      webPreferences: {
+        preload: 'floating_preload.js',
+        nodeIntegration: true,
+        contextIsolation: false,
+        sandbox: false,
+        backgroundThrottling: false
+      }
+    }, () => {
+      try {
+        if (!win) {
+          try { window.logger.error('[悬浮窗] open: 回调时窗口对象为空'); } catch (_) {}
+          return;
+        }
+
+        const showWindow = () => {
+          if (!win || win.isDestroyed()) return;
+          try {
+            // 按所在显示器恢复位置（含贴边），无记录时在主显示器居中
+            try {
+              const pos = getFloatingRestorePosition(getFloatingWindowSize());
+              floatingDock = { edge: pos.edge, hidden: false };
+              setFloatingBounds(win, pos.x, pos.y);
+            } catch (_) {}
+
+            // 确保缩放比例正常
+            try { win.webContents && win.webContents.setZoomFactor(1.0); } catch (_) {}
+
+            // 显示窗口
+            setTimeout(() => {
+              if (!win || win.isDestroyed()) return;
+              if (win.showInactive) {
+                win.showInactive();
+              } else {
+                win.show();
+              }
+              try {
+                win.setAlwaysOnTop(true, 'screen-saver');
+              } catch (_) {
+                try { win.setAlwaysOnTop(true); } catch (_) {}
+              }
+              try { window.logger.log(`[悬浮窗] open: 新窗口已显示，透明度=${opacity}`); } catch (_) {}
+            }, 100);
+          } catch (e) {
+            try { window.logger.error('[悬浮窗] open: 显示新窗口失败', e); } catch (_) {}
+          }
+        };
+
+        if (win.once) {
+          win.once('ready-to-show', showWindow);
+          setTimeout(() => {
+            try {
+              if (win && !win.isDestroyed() && !win.isVisible()) {
+                try { window.logger.log('[悬浮窗] open: ready-to-show 超时，强制显示'); } catch (_) {}
+                showWindow();
+              }
+            } catch (_) {}
+          }, 500);
+        } else {
+          showWindow();
+        }
+
+        try { window.pushFloatingData(); } catch (_) {}
+        startFloatingDisplayWatch();
+        persistFloatingState({ visible: true });
+        window.__floatingVisible = true;
+        try {
+          const btn = document.getElementById('floating-toggle-btn');
+          if (btn) btn.textContent = '隐藏悬浮窗';
+        } catch (_) {}
+
+        // 建立与悬浮窗的通信
+        setTimeout(() => {
+          try {
+            if (win && !win.isDestroyed() && win.webContents) {
+              ipcRenderer.sendTo(win.webContents.id, 'widget-message', 'connect');
+              sendFloatingSkin(win);
+              notifyFloatingDock(win, 'restore');
+            }
+          } catch (_) {}
+        }, 500);
+
+        try { window.logger.log('[悬浮窗] open: 新窗口创建完成'); } catch (_) {}
+      } finally {
+        window.__floatingOpening = false;
+      }
+    });
+
+    // 绑定移动、关闭事件（简单版本）
+    try {
+      if (typeof win.on === 'function') {
+        win.on('message', (message) => {
+          try {
+            if (message && message.type === 'close-floating') {
+              window.closeFloatingWindow();
+            } else if (message && message.type === 'widget-action' && message.payload && message.payload.type === 'move') {
+              const { x, y } = message.payload;
+              try {
+                win.setBounds({
+                  x: Math.round(x),
+                  y: Math.round(y),
+                  ...getFloatingWindowSize()
+                });
+              } catch (_) {}
+            }
+          } catch (_) {}
+        });
+
+        win.on('move', () => {
+          // 收起为把手时不记录，保留贴边展开后的位置
+          if (floatingDock.hidden) return;
+          try { rememberFloatingPosition(win); } catch (_) {}
+        });
+
+        win.on('closed', () => {
+          try { window.logger.log('[悬浮窗] onClosed: 触发'); } catch (_) {}
+          window.floatingWin = null;
+          window.__floatingVisible = false;
+          try { window.__floatingWindows = (window.__floatingWindows || []).filter(w => w !== win); } catch (_) {}
+        });
+      } else {
+        try { window.logger.log('[悬浮窗] open: win.on 不可用，将依赖全局 IPC'); } catch (_) {}
+      }
+    } catch (e) {
+      try { window.logger.error('[悬浮窗] open: 绑定窗口事件失败', e); } catch (_) {}
+    }
+
+    window.floatingWin = win;
+    try {
+      window.__floatingWindows.push(win);
+      if (window.logger && window.logger.log) window.logger.log(`[悬浮窗] open: 注册实例，当前数量 ${window.__floatingWindows.length}`);
+    } catch (_) {}
+
+    return win;
+  } catch (e) {
+    window.__floatingOpening = false;
+    try { console.error('[Main] 创建悬浮窗失败', e); } catch (_) {}
+    return null;
+  }
+};
+
+/*
+ * 功能：关闭悬浮窗并停止更新
+ * 参数：无
+ * 返回值：Boolean 是否成功
+ * 创建日期：2025-12-01
+ */
+window.closeFloatingWindow = () => {
+  try {
+    if (window.logger && window.logger.log) window.logger.log('[悬浮窗] close: 开始关闭');
+    stopFloatingUpdateTimer();
+    stopFloatingDisplayWatch();
+    try { window.utools && window.utools.dbStorage && window.utools.dbStorage.setItem('__floating_close_signal', String(Date.now())); } catch (_) {}
+    try { window.broadcastCloseFloatingWindows(); } catch (_) {}
+    
+    // 尝试通过 ID 关闭可能存在的孤儿窗口
+    try {
+        const orphanId = localStorage.getItem('floating_window_id');
+        if (orphanId) {
+             const id = parseInt(orphanId);
+             if (!isNaN(id)) ipcRenderer.sendTo(id, 'force-close');
+             localStorage.removeItem('floating_window_id');
+        }
+    } catch (_) {}
+
+    const wins = Array.from(window.__floatingWindows || []).concat(window.floatingWin ? [window.floatingWin] : []);
+    if (window.logger && window.logger.log) window.logger.log(`[悬浮窗] close: 兜底关闭，实例数=${wins.length}`);
+    wins.forEach((w, idx) => {
+      if (!w) return;
+      // 定义忽略 "window no exist" 错误的辅助函数
+      const safeExec = (fn, name) => {
+          try {
+              fn();
+          } catch (e) {
+              const msg = String(e);
+              if (msg.includes('window no exist') || msg.includes('Object has been destroyed')) {
+                  // 窗口已销毁，忽略此类错误
+                  return;
+              }
+              try { window.logger.error(`[悬浮窗] ${name}失败 -> #${idx}`, e); } catch (_) {}
+          }
+      };
+
+      safeExec(() => w.hide && w.hide(), 'hide');
+      safeExec(() => w.close && w.close(), 'close');
+      safeExec(() => w.destroy && w.destroy(), 'destroy');
+    });
+  } catch (_) {}
+  window.floatingWin = null;
+  try { window.__floatingWindows = []; } catch (_) {}
+  persistFloatingState({ visible: false });
+  window.__floatingVisible = false;
+  try { const btn = document.getElementById('floating-toggle-btn'); if (btn) btn.textContent = '显示悬浮窗'; } catch (_) {}
+  try { window.logger.log('[悬浮窗] close: 完成'); } catch (_) {}
+  return true;
+};
+
+/*
+ * 功能：切换悬浮窗显示/隐藏状态
+ * 参数：无
+ * 返回值：Boolean 当前是否可见
+ * 创建日期：2025-12-01
+ */
+window.toggleFloatingWindow = () => {
+  const windowExists = window.floatingWin && !window.floatingWin.isDestroyed();
+  let windowVisible = false;
+
+  if (windowExists && typeof window.floatingWin.isVisible === 'function') {
+    try {
+      windowVisible = window.floatingWin.isVisible();
+    } catch (_) {
+      windowVisible = false;
+    }
+  }
+
+  if (windowExists && windowVisible) {
+    try { window.logger.log(`[悬浮窗] toggle: 执行隐藏 visible=${window.__floatingVisible}, exists=${windowExists}, isVisible=${windowVisible}`); } catch (_) {}
+    window.closeFloatingWindow();
+    return false;
+  } else {
+    try { window.logger.log(`[悬浮窗] toggle: 执行显示 visible=${window.__floatingVisible}, exists=${windowExists}, isVisible=${windowVisible}`); } catch (_) {}
+    window.openFloatingWindow();
+    return true;
+  }
+};
+
+/*
+ * 功能：生成悬浮窗的番茄钟/倒计时显示数据，悬浮窗据 endsAt 自行按秒倒计时
+ * 参数：无
+ * 返回值：Object|null 番茄钟未开启且没有倒计时时为 null
+ * 创建日期：2026-10-18
+ */
+function getFloatingFocusData() {
+  if (!window.pomodoroManager || !window.countdownManager) return null;
+  const status = window.pomodoroManager.getStatus();
+  if (status.status !== 'idle') {
+    return {
+      label: `🍅 ${status.phaseName} ${status.cycleText}`,
+      status: status.status,
+      endsAt: status.endsAt,
+      remainingMs: status.remainingMs
+    };
+  }
+
+  // 没有番茄钟时显示最先到期的倒计时（运行中的优先）
+  const timers = window.countdownManager.getTimers()
+    .map(timer => ({ timer, remainingMs: window.countdownManager.getRemainingMs(timer) }))
+    .sort((a, b) => (a.timer.status === b.timer.status ? a.remainingMs - b.remainingMs : (a.timer.status === 'running' ? -1 : 1)));
+  if (timers.length === 0) return null;
+  const { timer, remainingMs } = timers[0];
+  return {
+    label: `⏱ ${timer.name}${timers.length > 1 ? ` +${timers.length - 1}` : ''}`,
+    status: timer.status,
+    endsAt: timer.endsAt,
+    remainingMs
+  };
+}
+
+/*
+ * 功能：推送数据到悬浮窗页面
+ * 参数：无
+ * 返回值：无
+ * 创建日期：2025-12-01
+ */
+window.pushFloatingData = () => {
+  try {
+    // 无论窗口是否打开，都更新 localStorage 数据，以便悬浮窗独立读取
+    const snapshot = getTimelineSnapshot();
+    const alarms = snapshot.blocks.map(b => ({
+      id: b.id,
+      name: b.task,
+      timeText: b.timeStr,
+      remainText: b.remainText || '',
+      enabled: b.enabled,
+      statusText: b.statusText,
+      isCurrent: !!b.isCurrent,
+      category: b.category
+    }));
+    const payload = {
+      alarms,
+      currentTaskName: snapshot.currentTaskBlock ? snapshot.currentTaskBlock.task : '',
+      currentTaskRemainingText: snapshot.currentTaskRemainingText || '',
+      currentTaskCategory: (alarms.find(alarm => alarm.isCurrent) || {}).category || null,
+      currentTaskProgress: snapshot.currentTaskProgress,
+      agenda: getFloatingAgenda(),
+      expanded: !!getFloatingState().expanded,
+      clock: getFloatingClockLayout(window.getFloatingMode()),
+      clockMarkers: getFloatingClockMarkers(snapshot),
+      currentTaskId: snapshot.currentTaskBlock ? snapshot.currentTaskBlock.id : null,
+      alertsEnabled: (window.utools.dbStorage.getItem('globalSettings') || {}).globalAlertEnabled !== false,
+      focus: getFloatingFocusData(),
+      dnd: window.dndManager ? window.dndManager.getIndicator() : null
+    };
+    
+    try {
+        localStorage.setItem('floating_task_data', JSON.stringify(payload));
+    } catch (_) {}
+
+    if (!window.floatingWin || window.floatingWin.isDestroyed()) return;
+
+    try { if (window.logger && window.logger.log) window.logger.log(`[悬浮窗] push: count=${alarms.length}, current=${payload.currentTaskName || '无'}`); } catch (_) {}
+    
+    // IPC 发送
+    if (window.floatingWin && window.floatingWin.webContents) {
+         // console.log(`[Main] 推送数据到悬浮窗 (ID: ${window.floatingWin.webContents.id})`);
+         ipcRenderer.sendTo(window.floatingWin.webContents.id, 'widget-message', payload);
+    }
+  } catch (_) {}
+};
+
+/*
+ * 功能：广播关闭消息到所有悬浮窗实例
+ * 参数：无
+ * 返回值：无
+ * 创建日期：2025-12-01
+ */
+window.broadcastCloseFloatingWindows = () => {
+  try {
+    const wins = (window.__floatingWindows || []).slice();
+    if (window.logger && window.logger.log) window.logger.log(`[悬浮窗] 广播关闭，实例数=${wins.length}`);
+    wins.forEach((w, idx) => {
+      try {
+        if (window.logger && window.logger.log) window.logger.log(`[悬浮窗] 广播关闭 -> 实例#${idx}`);
+        w?.webContents?.executeJavaScript("window.utools.sendToParent({type:'close-floating'})");
+      } catch (err) {
+        if (window.logger && window.logger.error) window.logger.error(`[悬浮窗] 广播关闭失败 -> 实例#${idx}`, err);
+      }
+    });
+  } catch (_) {}
+};
+
+/*
+ * 功能：计算当前活跃闹钟数据用于悬浮窗展示
+ * 参数：无
+ * 返回值：Array<{id,name,timeText,remainText,enabled}>
+ * 创建日期：2025-12-01
+ */
+/*
+ * 功能：生成与时间轴视图一致的数据快照
+ * 参数：无
+ * 返回值：{ nowMinutes, currentTaskBlock, nextTaskBlock, currentTaskRemainingText, currentTaskProgress, blocks: Array }
+ * 创建日期：2025-12-01
+ */
+function formatFloatingRemainingText(diffMinutes) {
+  const safeMinutes = Math.max(0, diffMinutes);
+  const hours = Math.floor(safeMinutes / 60);
+  const minutes = safeMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/*
+ * 功能：格式化时间块的时间点，秒数非零时显示到秒
+ * 参数：time - 时间戳或 Date
+ * 返回值：String 如 "09:00" 或 "09:00:30"
+ * 创建日期：2026-10-18
+ */
+window.formatTimeOfDay = (time) => {
+  const date = new Date(time);
+  const hhmm = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  return date.getSeconds() > 0 ? `${hhmm}:${String(date.getSeconds()).padStart(2, '0')}` : hhmm;
+};
+
+/*
+ * 时间块分类
+ * 分类保存在 blockCategories 中：[{ id, name, color, icon, enabled }]，未保存过时使用预置的"工作""健康""学习"。
+ * 时间块通过 categoryId 关联分类，颜色统一取自分类，未分类（或分类已删除）的时间块显示为灰色。
+ * 停用分类后，其下的时间块暂停提醒、不计为进行中的任务，时间块自身的启用状态不变。
+ * 创建日期：2026-10-18
+ */
+const CATEGORIES_KEY = 'blockCategories';
+const UNCATEGORIZED_COLOR = '#bfbfbf';
+const MAX_CATEGORY_NAME_LENGTH = 10;
+const MAX_CATEGORY_ICON_LENGTH = 4; // 按码点计，容纳带肤色或组合的 emoji
+const DEFAULT_CATEGORIES = [
+  { id: 'work', name: '工作', color: '#1890ff', icon: '💼', enabled: true },
+  { id: 'health', name: '健康', color: '#52c41a', icon: '🏃', enabled: true },
+  { id: 'study', name: '学习', color: '#722ed1', icon: '📚', enabled: true }
+];
+
+function normalizeCategoryColor(color) {
+  return /^#[0-9a-fA-F]{6}$/.test(color || '') ? color.toLowerCase() : null;
+}
+
+function normalizeCategoryIcon(icon) {
+  return Array.from(String(icon || '').trim()).slice(0, MAX_CATEGORY_ICON_LENGTH).join('');
+}
+
+// 分类的启用状态影响提醒调度，颜色和图标影响悬浮窗显示
+function saveCategories(categories) {
+  window.utools.dbStorage.setItem(CATEGORIES_KEY, categories);
+  if (window.alertManager) window.alertManager.reschedule();
+  try { window.pushFloatingData(); } catch (_) {}
+}
+
+window.getCategories = () => {
+  const stored = window.utools.dbStorage.getItem(CATEGORIES_KEY);
+  return Array.isArray(stored) ? stored : DEFAULT_CATEGORIES.map(category => ({ ...category }));
+};
+
+/*
+ * 功能：获取时间块所属分类
+ * 参数：block - 时间块
+ * 返回值：Object|null 分类，未分类或分类已删除时为 null
+ * 创建日期：2026-10-18
+ */
+window.getBlockCategory = (block) => {
+  if (!block || !block.categoryId) return null;
+  return window.getCategories().find(category => category.id === block.categoryId) || null;
+};
+
+window.getBlockColor = (block) => {
+  const category = window.getBlockCategory(block);
+  return category ? category.color : UNCATEGORIZED_COLOR;
+};
+
+function isBlockCategoryEnabled(block) {
+  const category = window.getBlockCategory(block);
+  return !category || category.enabled !== false;
+}
+
+window.isBlockCategoryEnabled = isBlockCategoryEnabled;
+
+/*
+ * 功能：新建或修改分类
+ * 参数：data - { id?, name, color, icon }，带 id 且存在时修改，否则新建
+ * 返回值：Object|null 保存后的分类，校验失败时提示并返回 null
+ * 创建日期：2026-10-18
+ */
+window.saveCategory = (data = {}) => {
+  const name = String(data.name || '').trim();
+  const color = normalizeCategoryColor(data.color);
+  if (!name) {
+    window.showToast('请输入分类名称', 'error');
+    return null;
+  }
+  if (name.length > MAX_CATEGORY_NAME_LENGTH) {
+    window.showToast(`分类名称最多${MAX_CATEGORY_NAME_LENGTH}个字`, 'error');
+    return null;
+  }
+  if (!color) {
+    window.showToast('请选择有效的分类颜色', 'error');
+    return null;
+  }
+
+  const categories = window.getCategories();
+  if (categories.some(category => category.name === name && category.id !== data.id)) {
+    window.showToast(`分类"${name}"已存在`, 'error');
+    return null;
+  }
+
+  let category = data.id ? categories.find(item => item.id === data.id) : null;
+  if (category) {
+    Object.assign(category, { name, color, icon: normalizeCategoryIcon(data.icon) });
+  } else {
+    category = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+      name,
+      color,
+      icon: normalizeCategoryIcon(data.icon),
+      enabled: true
+    };
+    categories.push(category);
+  }
+  saveCategories(categories);
+  window.logger.log(`[分类] 保存分类: ${category.icon}${category.name} ${category.color}`);
+  return category;
+};
+
+window.setCategoryEnabled = (id, enabled) => {
+  const categories = window.getCategories();
+  const category = categories.find(item => item.id === id);
+  if (!category) return false;
+  category.enabled = !!enabled;
+  saveCategories(categories);
+  window.logger.log(`[分类] ${enabled ? '启用' : '停用'}分类: ${category.name}`);
+  return true;
+};
+
+/*
+ * 功能：删除分类，其下的时间块改为未分类
+ * 参数：id - 分类ID
+ * 返回值：Number 受影响的时间块数量，分类不存在时返回 -1
+ * 创建日期：2026-10-18
+ */
+window.deleteCategory = (id) => {
+  const categories = window.getCategories();
+  const category = categories.find(item => item.id === id);
+  if (!category) return -1;
+
+  const blocks = window.getTimeSettings();
+  let affected = 0;
+  blocks.forEach(block => {
+    if (block.categoryId !== id) return;
+    delete block.categoryId;
+    affected++;
+  });
+  if (affected > 0) window.saveTimeSettings(blocks);
+  saveCategories(categories.filter(item => item.id !== id));
+  window.logger.log(`[分类] 删除分类: ${category.name}，${affected} 个时间块改为未分类`);
+  return affected;
+};
+
+// 导入备份时补充本机没有的分类（按 ID 匹配，已有的分类保持不变）
+function mergeCategories(incoming) {
+  if (!Array.isArray(incoming) || incoming.length === 0) return 0;
+  const categories = window.getCategories();
+  const ids = new Set(categories.map(category => category.id));
+  let added = 0;
+  incoming.forEach(item => {
+    const color = normalizeCategoryColor(item && item.color);
+    const name = String(item && item.name || '').trim();
+    if (!item || !item.id || ids.has(item.id) || !name || !color) return;
+    categories.push({ id: item.id, name, color, icon: normalizeCategoryIcon(item.icon), enabled: item.enabled !== false });
+    ids.add(item.id);
+    added++;
+  });
+  if (added > 0) saveCategories(categories);
+  return added;
+}
+
+/*
+ * 时间块时长
+ * 时间块可设置 duration（分钟），表示从开始时间持续到结束时间，允许跨越零点；
+ * 未设置时长的时间块仍是一个时间点，"当前任务"沿用到下一个时间块开始为止。
+ * endAlert 为 true 时在结束时刻额外提醒一次。
+ * 创建日期：2026-10-18
+ */
+const MAX_BLOCK_DURATION = 24 * 60; // 时长上限（分钟）
+const OVERLAP_SCAN_DAYS = 366; // 重叠检测向后检查的天数
+
+// 读取时间块时长（分钟），未设置或无效返回 0
+function getBlockDurationMinutes(block) {
+  const minutes = parseInt(block && block.duration, 10);
+  return Number.isInteger(minutes) && minutes > 0 ? Math.min(minutes, MAX_BLOCK_DURATION) : 0;
+}
+
+function isBlockEnabled(block) {
+  return !!block && ((block.enabled === true) || (typeof block.enabled === 'string' && block.enabled.toLowerCase() === 'true'));
+}
+
+// 时间块在指定日期的开始时刻
+function getBlockStartOnDate(block, date) {
+  const t = new Date(block.startTime);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), t.getHours(), t.getMinutes(), t.getSeconds(), 0);
+}
+
+/*
+ * 预提醒提前量
+ * 时间块的 preAlertLeads 为提前分钟数列表（如 [30, 10, 2]），每个提前量在每次发生前各提醒一次；
+ * preAlert 为总开关。旧数据没有 preAlertLeads 时沿用全局"预提醒提前时间/次数"推算。
+ * 创建日期：2026-10-18
+ */
+const MAX_PRE_ALERT_LEADS = 5; // 单个时间块最多的预提醒次数
+
+// 规范化提前量列表：去重、过滤无效值、降序
+function normalizePreAlertLeads(leads) {
+  if (!Array.isArray(leads)) return [];
+  const valid = leads.map(lead => parseInt(lead, 10)).filter(lead => Number.isInteger(lead) && lead > 0 && lead <= MAX_BLOCK_DURATION);
+  return [...new Set(valid)].sort((a, b) => b - a).slice(0, MAX_PRE_ALERT_LEADS);
+}
+
+/*
+ * 功能：计算时间块的预提醒提前量（分钟）
+ * 参数：block - 时间块；settings - 全局参数（旧数据推算时使用）
+ * 返回值：Array<Number> 提前分钟数（降序），未启用预提醒时为空数组
+ * 创建日期：2026-10-18
+ */
+function getPreAlertLeads(block, settings) {
+  if (!block || !block.preAlert) return [];
+  if (Array.isArray(block.preAlertLeads)) return normalizePreAlertLeads(block.preAlertLeads);
+
+  // 旧数据：全局提前时间，次数为2时在提前时间及其一半处各提醒一次
+  const preAlertTime = parseInt(settings && settings.preAlertTime, 10) || 0;
+  const preAlertCount = Math.max(1, parseInt(settings && settings.preAlertCount, 10) || 1);
+  if (preAlertTime <= 0) return [];
+  const interval = Math.floor(preAlertTime / preAlertCount);
+  const leads = [];
+  for (let i = 0; i < preAlertCount; i++) {
+    const lead = preAlertTime - i * interval;
+    if (lead > 0 && !leads.includes(lead)) leads.push(lead);
+  }
+  return leads;
+}
+
+/*
+ * 功能：解析表单输入的提前量，如 "30,10,2"、"30，10 2"
+ * 参数：text - 输入文本
+ * 返回值：Array<Number>|null 降序的分钟数，含无效项时返回 null
+ * 创建日期：2026-10-18
+ */
+window.parsePreAlertLeads = (text) => {
+  const parts = String(text || '').split(/[,，、\s]+/).filter(Boolean);
+  if (parts.length === 0) return null;
+  if (parts.some(part => !/^\d+$/.test(part) || Number(part) <= 0 || Number(part) > MAX_BLOCK_DURATION)) return null;
+  const leads = [...new Set(parts.map(Number))];
+  return leads.length > MAX_PRE_ALERT_LEADS ? null : normalizePreAlertLeads(leads);
+};
+
+/*
+ * 功能：生成时间块预提醒的中文描述，如"提前30、10、2分钟"
+ * 参数：block - 时间块
+ * 返回值：String
+ * 创建日期：2026-10-18
+ */
+window.describePreAlert = (block) => {
+  const leads = window.getBlockPreAlertLeads(block);
+  return leads.length > 0 ? `提前${leads.join('、')}分钟` : '已禁用';
+};
+
+window.getBlockPreAlertLeads = (block) => getPreAlertLeads(block, window.utools.dbStorage.getItem('globalSettings') || {});
+
+/*
+ * 功能：读取时间块的升级提醒策略（未确认时每 interval 分钟重新弹窗响铃，最多 maxTimes 次）
+ * 参数：block - 时间块，block.escalation = { interval, maxTimes }
+ * 返回值：Object|null 未启用时返回 null
+ * 创建日期：2026-10-18
+ */
+function getEscalationPolicy(block) {
+  const policy = block && block.escalation;
+  if (!policy) return null;
+  const interval = parseInt(policy.interval, 10);
+  const maxTimes = parseInt(policy.maxTimes, 10);
+  if (!(interval >= 1 && interval <= 60) || !(maxTimes >= 1 && maxTimes <= 20)) return null;
+  return { interval, maxTimes };
+}
+
+/*
+ * 提醒历史
+ * 按发生日期追加保存每次提醒的经过，只追加不修改，键为 'alertHistory:YYYY-MM-DD'。
+ * 记录结构：{ id, blockId, task, occurrence, type, at, minutes?, count? }
+ *   occurrence 为该次提醒原定的发生时间，同一次提醒的多条记录以 blockId + occurrence 关联
+ *   type：fired 已提醒 / acknowledged 已确认 / snoozed 稍后提醒 / completed 已完成 / missed 错过
+ *   直接关闭弹窗不记录，该次提醒保持"已提醒"（统计中算作未处理）
+ * 创建日期：2026-10-18
+ */
+const HISTORY_KEY_PREFIX = 'alertHistory:';
+const HISTORY_TYPES = { fired: '已提醒', acknowledged: '已确认', snoozed: '稍后提醒', completed: '已完成', missed: '错过' };
+// 一次提醒的最终状态按此顺序取最靠前的记录
+const HISTORY_STATUS_ORDER = ['completed', 'acknowledged', 'snoozed', 'fired', 'missed'];
+const historyOccurrences = new Map(); // blockId -> { occurrence, task } 最近一次提醒，用于关联弹窗中的操作
+
+/*
+ * 功能：追加一条提醒历史
+ * 参数：entry - { blockId, task, occurrence, type, minutes?, count? }，occurrence 缺省时使用该时间块最近一次提醒
+ * 返回值：无
+ * 创建日期：2026-10-18
+ */
+function appendHistory(entry) {
+  try {
+    const last = historyOccurrences.get(entry.blockId);
+    const occurrence = entry.occurrence || (last && last.occurrence) || Date.now();
+    const record = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+      blockId: entry.blockId,
+      task: entry.task || (last && last.task) || '',
+      occurrence,
+      type: entry.type,
+      at: Date.now()
+    };
+    if (entry.minutes) record.minutes = entry.minutes;
+    if (entry.count > 1) record.count = entry.count;
+    if (entry.type === 'fired') historyOccurrences.set(entry.blockId, { occurrence, task: record.task });
+
+    const key = HISTORY_KEY_PREFIX + toDateKey(occurrence);
+    const list = window.utools.dbStorage.getItem(key);
+    window.utools.dbStorage.setItem(key, (Array.isArray(list) ? list : []).concat(record));
+  } catch (error) {
+    window.logger.error('[提醒历史] 记录失败:', error);
+  }
+}
+
+// 读取某一天的原始历史记录
+window.getHistoryEntries = (dateKey) => {
+  const list = window.utools.dbStorage.getItem(HISTORY_KEY_PREFIX + dateKey);
+  return Array.isArray(list) ? list : [];
+};
+
+/*
+ * 功能：汇总某一天每次提醒的经过与最终状态
+ * 参数：dateKey - 'YYYY-MM-DD'
+ * 返回值：Object { dateKey, items: [{ blockId, task, occurrence, status, statusText, events }], counts, total, completionRate }
+ *   counts 按最终状态计数；completionRate 为已完成占比（0-100），当天没有提醒时为 null
+ * 创建日期：2026-10-18
+ */
+window.getDailyHistory = (dateKey) => {
+  const groups = new Map();
+  window.getHistoryEntries(dateKey).forEach(entry => {
+    const key = `${entry.blockId}:${entry.occurrence}`;
+    if (!groups.has(key)) {
+      groups.set(key, { blockId: entry.blockId, task: entry.task, occurrence: entry.occurrence, events: [] });
+    }
+    groups.get(key).events.push(entry);
+  });
+
+  const counts = Object.fromEntries(HISTORY_STATUS_ORDER.map(type => [type, 0]));
+  const items = [...groups.values()]
+    .sort((a, b) => a.occurrence - b.occurrence)
+    .map(item => {
+      const status = HISTORY_STATUS_ORDER.find(type => item.events.some(e => e.type === type));
+      counts[status] += 1;
+      return { ...item, status, statusText: HISTORY_TYPES[status], events: item.events.sort((a, b) => a.at - b.at) };
+    });
+  return {
+    dateKey,
+    items,
+    counts,
+    total: items.length,
+    completionRate: items.length > 0 ? Math.round(counts.completed / items.length * 100) : null
+  };
+};
+
+// 历史记录的中文描述，如"09:05 稍后提醒10分钟"
+window.describeHistoryEvent = (entry) => {
+  let text = HISTORY_TYPES[entry.type] || entry.type;
+  if (entry.type === 'snoozed' && entry.minutes) text += `${entry.minutes}分钟`;
+  if (entry.type === 'missed' && entry.count > 1) text += `${entry.count}次`;
+  return `${window.formatTimeOfDay(entry.at)} ${text}`;
+};
+
+/*
+ * 提醒统计
+ * 由提醒历史在本地计算：各任务完成率与连续完成天数、提醒时段分布、最常稍后提醒的任务、按周趋势。
+ * 连续完成天数与周趋势固定回看 STATS_LOOKBACK_DAYS 天，其余指标按所选天数统计。
+ * 创建日期：2026-10-18
+ */
+const STATS_LOOKBACK_DAYS = 84; // 12 周
+const STATS_TREND_WEEKS = 8;
+
+function getCompletionRate(completed, total) {
+  return total > 0 ? Math.round(completed / total * 100) : null;
+}
+
+/*
+ * 功能：统计最近若干天的提醒历史
+ * 参数：days - 统计天数（含今天），如 7、30
+ * 返回值：Object {
+ *   days, total, completed, completionRate,
+ *   tasks: [{ blockId, task, total, completed, completionRate, snoozes, currentStreak, bestStreak }]（按提醒次数降序），
+ *   hours: Array<Number> 24 个小时各自的提醒次数,
+ *   mostSnoozed: 稍后提醒次数最多的前 5 个任务,
+ *   weeks: [{ label, total, completed, completionRate }] 最近 8 周（周一开始，含本周）
+ * }
+ * 创建日期：2026-10-18
+ */
+window.getHistoryStats = (days = 7) => {
+  const today = startOfDay(new Date());
+  const dailies = []; // 由旧到新
+  for (let offset = STATS_LOOKBACK_DAYS - 1; offset >= 0; offset--) {
+    const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset);
+    dailies.push({ date, offset, daily: window.getDailyHistory(toDateKey(date)) });
+  }
+
+  const tasks = new Map();
+  const hours = new Array(24).fill(0);
+  let total = 0;
+  let completed = 0;
+  dailies.forEach(({ offset, daily }) => {
+    const inRange = offset < days;
+    const dayResults = new Map(); // blockId -> 当天是否全部完成
+    daily.items.forEach(item => {
+      if (!tasks.has(item.blockId)) {
+        tasks.set(item.blockId, {
+          blockId: item.blockId, task: item.task, total: 0, completed: 0, snoozes: 0, currentStreak: 0, bestStreak: 0
+        });
+      }
+      const stat = tasks.get(item.blockId);
+      stat.task = item.task; // 以最近的任务名为准
+      const done = item.status === 'completed';
+      dayResults.set(item.blockId, (dayResults.has(item.blockId) ? dayResults.get(item.blockId) : true) && done);
+      if (!inRange) return;
+      stat.total += 1;
+      stat.completed += done ? 1 : 0;
+      stat.snoozes += item.events.filter(e => e.type === 'snoozed').length;
+      hours[new Date(item.occurrence).getHours()] += 1;
+      total += 1;
+      completed += done ? 1 : 0;
+    });
+
+    // 连续完成天数：当天有提醒且全部完成则 +1，有未完成则中断；今天尚未完成不算中断
+    dayResults.forEach((done, blockId) => {
+      const stat = tasks.get(blockId);
+      if (done) {
+        stat.currentStreak += 1;
+        stat.bestStreak = Math.max(stat.bestStreak, stat.currentStreak);
+      } else if (offset > 0) {
+        stat.currentStreak = 0;
+      }
+    });
+  });
+
+  const taskList = [...tasks.values()]
+    .filter(stat => stat.total > 0)
+    .map(stat => ({ ...stat, completionRate: getCompletionRate(stat.completed, stat.total) }))
+    .sort((a, b) => b.total - a.total || b.completionRate - a.completionRate);
+
+  // 按周汇总（周一为一周开始）
+  const mondayOffset = (today.getDay() + 6) % 7;
+  const weeks = [];
+  for (let i = STATS_TREND_WEEKS - 1; i >= 0; i--) {
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - mondayOffset - i * 7);
+    const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+    const week = { label: `${start.getMonth() + 1}/${start.getDate()}`, total: 0, completed: 0 };
+    dailies
+      .filter(({ date }) => date >= start && date < end)
+      .forEach(({ daily }) => {
+        week.total += daily.total;
+        week.completed += daily.counts.completed;
+      });
+    weeks.push({ ...week, completionRate: getCompletionRate(week.completed, week.total) });
+  }
+
+  return {
+    days,
+    total,
+    completed,
+    completionRate: getCompletionRate(completed, total),
+    tasks: taskList,
+    hours,
+    mostSnoozed: taskList.filter(stat => stat.snoozes > 0).sort((a, b) => b.snoozes - a.snoozes).slice(0, 5),
+    weeks
+  };
+};
+
+// 新建时间块时表单中的默认提前量（全局"预提醒提前时间"）
+window.getDefaultPreAlertLeads = () => {
+  const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+  return normalizePreAlertLeads([settings.preAlertTime || 3]);
+};
+
+/*
+ * 功能：格式化时间块的时间范围，如 "09:00-09:30"，跨零点时结束时间标注"次日"
+ * 参数：block - 时间块
+ * 返回值：String 未设置时长时只返回开始时间
+ * 创建日期：2026-10-18
+ */
+window.formatBlockTimeRange = (block) => {
+  const start = new Date(block.startTime);
+  const duration = getBlockDurationMinutes(block);
+  if (!duration) return window.formatTimeOfDay(start);
+  const end = new Date(start.getTime() + duration * 60000);
+  const nextDay = end.getDate() !== start.getDate() ? '次日' : '';
+  return `${window.formatTimeOfDay(start)}-${nextDay}${window.formatTimeOfDay(end)}`;
+};
+
+/*
+ * 功能：计算当前进行中的任务
+ * 说明：优先取正在时长范围内的时间块（含昨天开始、跨零点的）；否则取今天最近一个已开始的
+ *       时间点任务。最近开始的时间块已经结束时，视为没有进行中的任务
+ * 参数：blocks - 时间块数组；now - 当前时间，默认现在
+ * 返回值：Object { block, startAt, endAt } 或 null，时间点任务的 endAt 为 null
+ * 创建日期：2026-10-18
+ */
+window.getCurrentTaskInfo = (blocks, now = new Date()) => {
+  const nowTime = now.getTime();
+  const enabledBlocks = (blocks || []).filter(block => isBlockEnabled(block) && isBlockCategoryEnabled(block));
+
+  let inProgress = null;
+  enabledBlocks.forEach(block => {
+    const duration = getBlockDurationMinutes(block);
+    if (!duration) return;
+    [0, -1].forEach(offset => {
+      const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+      if (!window.isBlockActiveOn(block, day)) return;
+      const startAt = getBlockStartOnDate(block, day).getTime();
+      const endAt = startAt + duration * 60000;
+      if (startAt <= nowTime && nowTime < endAt && (!inProgress || startAt > inProgress.startAt)) {
+        inProgress = { block, startAt, endAt };
+      }
+    });
+  });
+  if (inProgress) return inProgress;
+
+  let latest = null;
+  enabledBlocks.forEach(block => {
+    if (!window.isBlockActiveOn(block, now)) return;
+    const startAt = getBlockStartOnDate(block, now).getTime();
+    if (startAt <= nowTime && (!latest || startAt > latest.startAt)) latest = { block, startAt, endAt: null };
+  });
+  if (!latest || getBlockDurationMinutes(latest.block)) return null;
+  return latest;
+};
+
+// 时间块未来若干天内的时间段列表 [开始, 结束)，单位毫秒
+function getBlockIntervals(block, fromDate, days) {
+  const duration = getBlockDurationMinutes(block);
+  const intervals = [];
+  for (let offset = 0; offset < days; offset++) {
+    const day = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate() + offset);
+    if (!window.isBlockActiveOn(block, day)) continue;
+    const startAt = getBlockStartOnDate(block, day).getTime();
+    intervals.push([startAt, startAt + duration * 60000]);
+  }
+  return intervals;
+}
+
+/*
+ * 功能：检测设置了时长的时间块之间的时间重叠
+ * 参数：blocks - 时间块数组
+ * 返回值：Array<{ a, b, at }> a/b 为时间块，at 为首次重叠的开始时间戳
+ * 创建日期：2026-10-18
+ */
+window.findTimeBlockOverlaps = (blocks) => {
+  const today = startOfDay(new Date());
+  const candidates = (blocks || [])
+    .filter(block => isBlockEnabled(block) && getBlockDurationMinutes(block) > 0)
+    .map(block => ({ block, intervals: getBlockIntervals(block, today, OVERLAP_SCAN_DAYS) }));
+
+  const overlaps = [];
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      const listA = candidates[i].intervals;
+      const listB = candidates[j].intervals;
+      // 两个列表都按时间递增，双指针查找第一个交集
+      let x = 0;
+      let y = 0;
+      while (x < listA.length && y < listB.length) {
+        const [startA, endA] = listA[x];
+        const [startB, endB] = listB[y];
+        if (startA < endB && startB < endA) {
+          overlaps.push({ a: candidates[i].block, b: candidates[j].block, at: Math.max(startA, startB) });
+          break;
+        }
+        if (endA <= endB) x++; else y++;
+      }
+    }
+  }
+  return overlaps;
+};
+
+// 只返回本次保存新产生的重叠，避免提醒触发后的内部保存重复提示
+function findNewTimeBlockOverlaps(previousBlocks, blocks) {
+  const pairKey = (a, b) => [a.id, b.id].sort().join('|');
+  const existing = new Set(window.findTimeBlockOverlaps(previousBlocks).map(item => pairKey(item.a, item.b)));
+  return window.findTimeBlockOverlaps(blocks).filter(item => !existing.has(pairKey(item.a, item.b)));
+}
+
+/*
+ * 法定节假日日历
+ * 内置数据位于插件目录 holidays.json，用户导入的年份保存在 dbStorage 'holidayCalendar'，
+ * 同一年份以导入数据为准。文件格式：
+ * { "years": { "2026": { "holidays": { "2026-10-01": "国庆节" }, "workdays": { "2026-10-10": "国庆节调休" } } } }
+ * holidays/workdays 也可以是日期数组。没有数据的年份按周一至周五计算工作日。
+ * 创建日期：2026-10-18
+ */
+const HOLIDAY_CALENDAR_KEY = 'holidayCalendar';
+const BUNDLED_HOLIDAYS_FILE = 'holidays.json';
+let holidayCalendarCache = null;
+
+// 把 holidays/workdays 字段统一为 { 'YYYY-MM-DD': 名称 }，只保留属于该年份的合法日期
+function normalizeHolidayDays(value, year, defaultName) {
+  const result = {};
+  const entries = Array.isArray(value)
+    ? value.map(day => [day, defaultName])
+    : Object.entries(value && typeof value === 'object' ? value : {});
+  entries.forEach(([day, name]) => {
+    const date = parseDateKey(day);
+    if (!date || String(date.getFullYear()) !== String(year)) return;
+    result[toDateKey(date)] = typeof name === 'string' && name ? name : defaultName;
+  });
+  return result;
+}
+
+/*
+ * 功能：校验并规范化节假日数据（内置文件与导入文件共用）
+ * 参数：data - 解析后的 JSON 对象，支持 { years: {...} } 或单年份 { year, holidays, workdays }
+ * 返回值：Object { 'YYYY': { holidays, workdays } }，没有有效年份时返回空对象
+ * 创建日期：2026-10-18
+ */
+function normalizeHolidayCalendar(data) {
+  const years = {};
+  if (!data || typeof data !== 'object') return years;
+  const source = data.years && typeof data.years === 'object'
+    ? data.years
+    : (data.year ? { [data.year]: data } : {});
+
+  Object.keys(source).forEach(year => {
+    if (!/^\d{4}$/.test(year)) return;
+    const holidays = normalizeHolidayDays(source[year].holidays, year, '节假日');
+    const workdays = normalizeHolidayDays(source[year].workdays, year, '调休上班');
+    if (Object.keys(holidays).length === 0 && Object.keys(workdays).length === 0) return;
+    years[year] = { holidays, workdays };
+  });
+  return years;
+}
+
+function loadBundledHolidayCalendar() {
+  try {
+    const content = fs.readFileSync(path.join(__dirname, BUNDLED_HOLIDAYS_FILE), 'utf-8');
+    return normalizeHolidayCalendar(JSON.parse(content));
+  } catch (error) {
+    window.logger.error('[节假日] 读取内置节假日数据失败:', error);
+    return {};
+  }
+}
+
+/*
+ * 功能：获取合并后的节假日日历（内置 + 导入，带缓存）
+ * 返回值：Object { 'YYYY': { holidays, workdays, source: 'bundled' | 'imported' } }
+ * 创建日期：2026-10-18
+ */
+function getHolidayCalendar() {
+  if (holidayCalendarCache) return holidayCalendarCache;
+
+  const calendar = {};
+  const bundled = loadBundledHolidayCalendar();
+  Object.keys(bundled).forEach(year => {
+    calendar[year] = { ...bundled[year], source: 'bundled' };
+  });
+  const imported = normalizeHolidayCalendar({ years: window.utools.dbStorage.getItem(HOLIDAY_CALENDAR_KEY) || {} });
+  Object.keys(imported).forEach(year => {
+    calendar[year] = { ...imported[year], source: 'imported' };
+  });
+
+  holidayCalendarCache = calendar;
+  return calendar;
+}
+
+/*
+ * 功能：判断某天是否为法定工作日（节假日不上班，调休日上班）
+ * 参数：date - 任意当天时间
+ * 返回值：Boolean
+ * 创建日期：2026-10-18
+ */
+window.isStatutoryWorkday = (date) => {
+  const day = new Date(date);
+  const key = toDateKey(day);
+  const yearData = getHolidayCalendar()[String(day.getFullYear())];
+  if (yearData) {
+    if (yearData.workdays[key]) return true;
+    if (yearData.holidays[key]) return false;
+  }
+  return day.getDay() >= 1 && day.getDay() <= 5;
+};
+
+/*
+ * 功能：获取某天的节假日/调休名称
+ * 参数：date - 任意当天时间
+ * 返回值：Object { type: 'holiday' | 'workday', name } 或 null
+ * 创建日期：2026-10-18
+ */
+window.getHolidayInfo = (date) => {
+  const day = new Date(date);
+  const key = toDateKey(day);
+  const yearData = getHolidayCalendar()[String(day.getFullYear())];
+  if (!yearData) return null;
+  if (yearData.workdays[key]) return { type: 'workday', name: yearData.workdays[key] };
+  if (yearData.holidays[key]) return { type: 'holiday', name: yearData.holidays[key] };
+  return null;
+};
+
+/*
+ * 功能：列出已有节假日数据的年份及来源，供设置页展示
+ * 返回值：Array<{ year, source, holidayCount, workdayCount }>
+ * 创建日期：2026-10-18
+ */
+window.getHolidayCalendarYears = () => {
+  const calendar = getHolidayCalendar();
+  return Object.keys(calendar).sort().map(year => ({
+    year,
+    source: calendar[year].source,
+    holidayCount: Object.keys(calendar[year].holidays).length,
+    workdayCount: Object.keys(calendar[year].workdays).length
+  }));
+};
+
+/*
+ * 功能：从本地 JSON 文件导入节假日数据，同一年份覆盖已有数据
+ * 创建日期：2026-10-18
+ */
+window.handleHolidayCalendarImport = () => {
+  const result = utools.showOpenDialog({
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+    properties: ['openFile']
+  });
+  if (!result || result.length === 0) return;
+
+  try {
+    const imported = normalizeHolidayCalendar(JSON.parse(fs.readFileSync(result[0], 'utf-8')));
+    const years = Object.keys(imported);
+    if (years.length === 0) {
+      window.showToast('文件中没有可识别的节假日数据', 'error');
+      return;
+    }
+
+    const stored = window.utools.dbStorage.getItem(HOLIDAY_CALENDAR_KEY) || {};
+    years.forEach(year => { stored[year] = imported[year]; });
+    window.utools.dbStorage.setItem(HOLIDAY_CALENDAR_KEY, stored);
+    holidayCalendarCache = null;
+    window.logger.log('[节假日] 导入节假日数据:', years.join(','));
+
+    updateHolidayCalendarUI();
+    if (window.alertManager) window.alertManager.reschedule();
+    window.showToast(`已导入 ${years.join('、')} 年节假日数据`);
+  } catch (error) {
+    window.logger.error('[节假日] 导入失败:', error);
+    window.showToast(`节假日数据导入失败: ${error.message}`, 'error');
+  }
+};
+
+// 恢复内置节假日数据（清除所有导入的年份）
+window.resetHolidayCalendar = () => {
+  window.utools.dbStorage.removeItem(HOLIDAY_CALENDAR_KEY);
+  holidayCalendarCache = null;
+  window.logger.log('[节假日] 已恢复内置节假日数据');
+  updateHolidayCalendarUI();
+  if (window.alertManager) window.alertManager.reschedule();
+  window.showToast('已恢复内置节假日数据');
+};
+
+// 更新设置页的节假日数据状态
+function updateHolidayCalendarUI() {
+  const status = document.getElementById('holiday-calendar-status');
+  if (!status) return;
+  const years = window.getHolidayCalendarYears();
+  const currentYear = String(new Date().getFullYear());
+  const text = years.length > 0
+    ? years.map(item => `${item.year}年（${item.source === 'imported' ? '导入' : '内置'}）`).join('、')
+    : '无';
+  const missing = years.some(item => item.year === currentYear) ? '' : `；缺少${currentYear}年数据，将按周一至周五计算`;
+  status.textContent = `已有数据: ${text}${missing}`;
+}
+
+/*
+ * 重复规则（类 RRULE）
+ * 结构：{
+ *   freq: 'once' | 'daily' | 'workday' | 'weekly' | 'monthly' | 'yearly',  // workday：法定工作日
+ *   interval: Number,               // 每 N 天/周/月/年，默认 1
+ *   weekdays: Array<Number>,        // weekly：0=周日 … 6=周六
+ *   monthDay: Number,               // monthly/yearly：几号，-1 表示最后一天
+ *   nthWeekday: { nth, weekday },   // monthly：第 nth 个星期 weekday，nth=-1 表示最后一个
+ *   month: Number,                  // yearly：月份 1-12
+ *   startDate: 'YYYY-MM-DD',        // 间隔计算的起点
+ *   until: 'YYYY-MM-DD' | null      // 结束日期（含当天）
+ * }
+ * "重复 N 次后结束" 沿用时间块的 reminderCount/remainingCount。
+ * 旧数据只有 reminderMode/weekdays，读取时由 getRecurrenceRule 自动转换。
+ * 创建日期：2026-10-18
+ */
+const RECURRENCE_FREQS = ['once', 'daily', 'workday', 'weekly', 'monthly', 'yearly'];
+const WEEKDAY_NAMES = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+
+// 日期转 'YYYY-MM-DD'（本地时间）
+function toDateKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// 'YYYY-MM-DD' 转本地零点 Date，格式错误返回 null
+function parseDateKey(key) {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(key || ''));
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+// 两个日期相差的自然日数（四舍五入以兼容夏令时）
+function daysBetween(from, to) {
+  return Math.round((startOfDay(to).getTime() - startOfDay(from).getTime()) / 86400000);
+}
+
+function daysInMonth(year, monthIndex) {
+  return new Date(year, monthIndex + 1, 0).getDate();
+}
+
+// 非负取模，间隔计算时允许日期早于起点
+function positiveMod(value, divisor) {
+  return ((value % divisor) + divisor) % divisor;
+}
+
+// 日期所在周的周一（以周一为一周的开始）
+function weekStartOf(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+}
+
+/*
+ * 功能：读取时间块的重复规则（兼容旧的 reminderMode/weekdays 字段）
+ * 参数：block - 时间块
+ * 返回值：Object 规范化后的重复规则
+ * 创建日期：2026-10-18
+ */
+function getRecurrenceRule(block) {
+  const raw = (block && block.recurrence) || {};
+  const legacyMode = (block && block.reminderMode) || 'daily';
+  const freq = RECURRENCE_FREQS.includes(raw.freq) ? raw.freq : (RECURRENCE_FREQS.includes(legacyMode) ? legacyMode : 'daily');
+  const startDate = parseDateKey(raw.startDate) ? raw.startDate : toDateKey(block && block.startTime ? block.startTime : Date.now());
+  const weekdays = Array.isArray(raw.weekdays) ? raw.weekdays : (Array.isArray(block && block.weekdays) ? block.weekdays : []);
+  const anchor = parseDateKey(startDate);
+
+  const rule = {
+    freq,
+    interval: freq === 'workday' ? 1 : Math.max(1, parseInt(raw.interval, 10) || 1),
+    startDate,
+    until: parseDateKey(raw.until) ? raw.until : null
+  };
+  if (freq === 'weekly') {
+    rule.weekdays = weekdays.map(Number).filter(d => d >= 0 && d <= 6);
+  } else if (freq === 'monthly') {
+    if (raw.nthWeekday && raw.nthWeekday.weekday !== undefined) {
+      rule.nthWeekday = { nth: parseInt(raw.nthWeekday.nth, 10) || 1, weekday: Number(raw.nthWeekday.weekday) };
+    } else {
+      rule.monthDay = parseInt(raw.monthDay, 10) || anchor.getDate();
+    }
+  } else if (freq === 'yearly') {
+    rule.month = parseInt(raw.month, 10) || anchor.getMonth() + 1;
+    rule.monthDay = parseInt(raw.monthDay, 10) || anchor.getDate();
+  }
+  return rule;
+}
+
+// 判断日期是否为规则中的"几号"（-1 表示当月最后一天）
+function matchesMonthDay(date, monthDay) {
+  const lastDay = daysInMonth(date.getFullYear(), date.getMonth());
+  return monthDay === -1 ? date.getDate() === lastDay : date.getDate() === monthDay;
+}
+
+/*
+ * 功能：判断重复规则在某一天是否发生（不含 once，不判断启用状态）
+ * 参数：rule - getRecurrenceRule 的返回值；date - 任意当天时间
+ * 返回值：Boolean
+ * 创建日期：2026-10-18
+ */
+function occursOnDate(rule, date) {
+  const day = startOfDay(date);
+  const anchor = parseDateKey(rule.startDate) || day;
+  if (rule.until && day.getTime() > parseDateKey(rule.until).getTime()) return false;
+
+  switch (rule.freq) {
+    case 'daily':
+      return positiveMod(daysBetween(anchor, day), rule.interval) === 0;
+    case 'workday':
+      return window.isStatutoryWorkday(day);
+    case 'weekly': {
+      if (!rule.weekdays.includes(day.getDay())) return false;
+      // 以周一为一周的开始计算相隔周数
+      const weeks = Math.round(daysBetween(weekStartOf(anchor), weekStartOf(day)) / 7);
+      return positiveMod(weeks, rule.interval) === 0;
+    }
+    case 'monthly': {
+      const months = (day.getFullYear() - anchor.getFullYear()) * 12 + (day.getMonth() - anchor.getMonth());
+      if (positiveMod(months, rule.interval) !== 0) return false;
+      if (rule.nthWeekday) {
+        const { nth, weekday } = rule.nthWeekday;
+        if (day.getDay() !== weekday) return false;
+        if (nth === -1) return day.getDate() + 7 > daysInMonth(day.getFullYear(), day.getMonth());
+        return Math.ceil(day.getDate() / 7) === nth;
+      }
+      return matchesMonthDay(day, rule.monthDay);
+    }
+    case 'yearly':
+      if (positiveMod(day.getFullYear() - anchor.getFullYear(), rule.interval) !== 0) return false;
+      return day.getMonth() + 1 === rule.month && matchesMonthDay(day, rule.monthDay);
+    default:
+      return false;
+  }
+}
+
+/*
+ * 功能：判断时间块在某一天是否有提醒（时间轴/悬浮窗判断"今天的任务"使用）
+ * 参数：block - 时间块；date - 日期
+ * 返回值：Boolean
+ * 创建日期：2026-10-18
+ */
+window.isBlockActiveOn = (block, date) => {
+  if (!block) return false;
+  const rule = getRecurrenceRule(block);
+  if (rule.freq === 'once') return toDateKey(block.startTime) === toDateKey(date);
+  return occursOnDate(rule, date);
+};
+
+/*
+ * 功能：生成重复规则的中文描述，如"每周(周一、周三)"、"每月最后一个周五"
+ * 参数：block - 时间块
+ * 返回值：String
+ * 创建日期：2026-10-18
+ */
+window.describeRecurrence = (block) => {
+  const rule = getRecurrenceRule(block);
+  const every = (unit, single) => (rule.interval === 1 ? single : `每${rule.interval}${unit}`);
+  let text = '每日';
+  if (rule.freq === 'once') {
+    return '单次';
+  } else if (rule.freq === 'daily') {
+    text = every('天', '每日');
+  } else if (rule.freq === 'workday') {
+    text = '法定工作日';
+  } else if (rule.freq === 'weekly') {
+    text = `${every('周', '每周')}(${rule.weekdays.map(d => WEEKDAY_NAMES[d]).join('、')})`;
+  } else if (rule.freq === 'monthly') {
+    const prefix = every('个月', '每月');
+    if (rule.nthWeekday) {
+      const nthText = rule.nthWeekday.nth === -1 ? '最后一个' : `第${rule.nthWeekday.nth}个`;
+      text = `${prefix}${nthText}${WEEKDAY_NAMES[rule.nthWeekday.weekday]}`;
+    } else {
+      text = `${prefix}${rule.monthDay === -1 ? '最后一天' : `${rule.monthDay}日`}`;
+    }
+  } else if (rule.freq === 'yearly') {
+    const dayText = rule.monthDay === -1 ? '最后一天' : `${String(rule.monthDay).padStart(2, '0')}`;
+    text = `${every('年', '每年')}${String(rule.month).padStart(2, '0')}-${dayText}`;
+  }
+  return rule.until ? `${text}，至${rule.until}` : text;
+};
+
+/*
+ * 功能：查找 from 之后第一个符合重复规则的发生时刻
+ * 说明：按间隔直接跳到下一个命中的天/周/月/年，只在该周期内逐日检查，间隔很大时也不必逐日扫描
+ * 参数：rule - getRecurrenceRule 的返回值（不含 once）；from - 起点（不含）；base - 提供时分秒的时间
+ * 返回值：Date|null 没有下一次（超过截止日期或找不到）时返回 null
+ * 创建日期：2026-10-19
+ */
+function findNextRuleOccurrence(rule, from, base) {
+  const day = startOfDay(from);
+  const anchor = parseDateKey(rule.startDate) || day;
+  const until = rule.until ? parseDateKey(rule.until) : null;
+  const interval = rule.interval;
+
+  // 第 p 个候选周期：[周期起始日, 天数]；maxPeriods 覆盖 2 月 29 日、31 日、第五个星期几等稀疏情况
+  let period;
+  let maxPeriods;
+  if (rule.freq === 'daily') {
+    const first = day.getDate() + positiveMod(-daysBetween(anchor, day), interval);
+    period = p => [new Date(day.getFullYear(), day.getMonth(), first + p * interval), 1];
+    maxPeriods = 3;
+  } else if (rule.freq === 'weekly') {
+    const week = weekStartOf(day);
+    const first = week.getDate() + 7 * positiveMod(-Math.round(daysBetween(weekStartOf(anchor), week) / 7), interval);
+    period = p => [new Date(week.getFullYear(), week.getMonth(), first + 7 * p * interval), 7];
+    maxPeriods = 3;
+  } else if (rule.freq === 'monthly') {
+    const months = (day.getFullYear() - anchor.getFullYear()) * 12 + (day.getMonth() - anchor.getMonth());
+    const first = day.getMonth() + positiveMod(-months, interval);
+    period = p => {
+      const start = new Date(day.getFullYear(), first + p * interval, 1);
+      return [start, daysInMonth(start.getFullYear(), start.getMonth())];
+    };
+    maxPeriods = 24;
+  } else if (rule.freq === 'yearly') {
+    const first = day.getFullYear() + positiveMod(anchor.getFullYear() - day.getFullYear(), interval);
+    period = p => [new Date(first + p * interval, rule.month - 1, 1), daysInMonth(first + p * interval, rule.month - 1)];
+    maxPeriods = 9;
+  } else {
+    // 法定工作日没有固定周期，逐日查找
+    period = p => [new Date(day.getFullYear(), day.getMonth(), day.getDate() + p), 1];
+    maxPeriods = 366 + 31;
+  }
+
+  for (let p = 0; p < maxPeriods; p++) {
+    const [start, days] = period(p);
+    for (let offset = 0; offset < days; offset++) {
+      const candidate = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset, base.getHours(), base.getMinutes(), base.getSeconds(), 0);
+      if (until && startOfDay(candidate).getTime() > until.getTime()) return null;
+      if (candidate.getTime() <= from.getTime()) continue;
+      if (occursOnDate(rule, candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+window.getRecurrenceRule = getRecurrenceRule;
+// 页面中的日期键也用同一实现，避免表单与调度器对日期键的理解不一致
+window.toDateKey = toDateKey;
+
+function getNextOccurrenceDate(block, now) {
+  if (!block) return null;
+
+  const enabled = (block.enabled === true) || (typeof block.enabled === 'string' && block.enabled.toLowerCase() === 'true');
+  if (!enabled) return null;
+
+  const blockDate = new Date(block.startTime);
+  const rule = getRecurrenceRule(block);
+
+  if (rule.freq === 'once') {
+    return blockDate.getTime() > now.getTime() ? blockDate : null;
+  }
+  if (rule.freq === 'weekly' && rule.weekdays.length === 0) return null;
+
+  return findNextRuleOccurrence(rule, now, blockDate);
+}
+
+function getTimelineSnapshot() {
+  const settings = window.utools.dbStorage.getItem('globalSettings') || { globalAlertEnabled: true };
+  const blocks = window.getTimeSettings();
+  const now = new Date();
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+  const enabledTodayBlocks = blocks.filter(b => {
+    if (!b) return false;
+    const enabled = (b.enabled === true) || (typeof b.enabled === 'string' && b.enabled.toLowerCase() === 'true');
+    if (!enabled || !isBlockCategoryEnabled(b)) return false;
+    return window.isBlockActiveOn(b, now);
+  });
+
+  const currentTaskInfo = window.getCurrentTaskInfo(blocks, now);
+  const currentTaskBlock = currentTaskInfo ? currentTaskInfo.block : null;
+
+  const futureBlocks = enabledTodayBlocks.filter(b => {
+    const tm = new Date(b.startTime);
+    const mins = tm.getHours() * 60 + tm.getMinutes();
+    return mins > nowMinutes;
+  });
+  let nextTaskBlock = null;
+  if (futureBlocks.length > 0) {
+    nextTaskBlock = futureBlocks.reduce((earliest, current) => {
+      const em = new Date(earliest.startTime);
+      const cm = new Date(current.startTime);
+      const emin = em.getHours() * 60 + em.getMinutes();
+      const cmin = cm.getHours() * 60 + cm.getMinutes();
+      return cmin < emin ? current : earliest;
+    });
+  }
+
+  const normalized = blocks.map(block => {
+    const date = new Date(block.startTime);
+    const timeStr = window.formatTimeOfDay(date);
+    const reminderCount = block.reminderCount !== undefined ? block.reminderCount : -1;
+    const remainingCount = block.remainingCount !== undefined ? block.remainingCount : reminderCount;
+    const reminderText = reminderCount === -1 ? '永久' : `剩余${remainingCount}次`;
+    const modeText = window.describeRecurrence(block);
+    const isCurrent = currentTaskBlock && currentTaskBlock.id === block.id;
+    const category = window.getBlockCategory(block);
+    const statusText = `${(block.enabled ? '已启用' : '已禁用')} | 预提醒：${window.describePreAlert(block)} | 提醒：${reminderText} | 模式：${modeText}`;
+    let remainText = '';
+    const startMinutes = date.getHours() * 60 + date.getMinutes();
+    const diff = startMinutes - nowMinutes;
+    if (isCurrent && currentTaskInfo.endAt) {
+      remainText = `剩余 ${Math.ceil((currentTaskInfo.endAt - now.getTime()) / 60000)} 分钟`;
+    } else if (diff >= 0) {
+      remainText = `还有 ${diff} 分钟`;
+    }
+
+    return {
+      id: block.id,
+      task: block.task || block.id,
+      timeStr,
+      enabled: settings.globalAlertEnabled !== false && block.enabled !== false && isBlockCategoryEnabled(block),
+      category: category ? { name: category.name, icon: category.icon, color: category.color } : null,
+      preAlert: !!block.preAlert,
+      reminderText,
+      modeText,
+      statusText,
+      isCurrent,
+      remainText,
+      sortKey: startMinutes
+    };
+  }).sort((a, b) => a.sortKey - b.sortKey);
+
+  let currentTaskRemainingText = '';
+  // 当前时间块的起止时刻，时间点任务以下一次提醒为结束，供悬浮窗显示进度
+  let currentTaskProgress = null;
+  if (currentTaskInfo && currentTaskInfo.endAt) {
+    // 有时长的任务显示本时间块剩余时间
+    currentTaskRemainingText = formatFloatingRemainingText(Math.ceil((currentTaskInfo.endAt - now.getTime()) / 60000));
+    currentTaskProgress = { startAt: currentTaskInfo.startAt, endAt: currentTaskInfo.endAt };
+  } else if (currentTaskBlock) {
+    const upcomingDates = blocks
+      .filter(isBlockCategoryEnabled)
+      .map(block => getNextOccurrenceDate(block, now))
+      .filter(date => date && date.getTime() > now.getTime())
+      .sort((a, b) => a.getTime() - b.getTime());
+
+    const nextOccurrence = upcomingDates.length > 0 ? upcomingDates[0] : null;
+    if (nextOccurrence) {
+      const diffMinutes = Math.max(0, Math.ceil((nextOccurrence.getTime() - now.getTime()) / 60000));
+      currentTaskRemainingText = formatFloatingRemainingText(diffMinutes);
+      currentTaskProgress = { startAt: currentTaskInfo.startAt, endAt: nextOccurrence.getTime() };
+    } else {
+      currentTaskRemainingText = '进行中';
+    }
+  }
+
+  // try { if (window.logger && window.logger.log) window.logger.log(`[悬浮窗] snapshot: now=${now.getHours()}:${now.getMinutes()}, enabledToday=${enabledTodayBlocks.length}, past=${pastBlocks.length}, future=${futureBlocks.length}, current=${currentTaskBlock ? currentTaskBlock.task : '无'}`); } catch (_) {}
+  return { nowMinutes, currentTaskBlock, nextTaskBlock, futureBlocks, currentTaskRemainingText, currentTaskProgress, blocks: normalized };
+}
+
+/*
+ * 功能：启动悬浮窗内容更新定时器（已废弃，跟随主循环）
+ */
+function startFloatingUpdateTimer() {
+  // if (window.floatingTimer) return;
+  // window.floatingTimer = setInterval(() => {
+  //   window.pushFloatingData();
+  // }, 500);
+}
+
+/*
+ * 功能：将当前任务快照写入桌面微件数据文件
+ * 参数：无
+ * 返回值：无
+ * 创建日期：2025-12-01
+ */
+function writeWidgetData() {
+  try {
+    const os = require('os')
+    const path = require('path')
+    const fs = require('fs')
+    const dir = path.join(os.homedir(), 'DeskClock')
+    try { fs.mkdirSync(dir, { recursive: true }) } catch (_) {}
+    const snap = getTimelineSnapshot()
+    const current = snap.currentTaskBlock ? {
+      name: snap.currentTaskBlock.task,
+      hhmm: new Date(snap.currentTaskBlock.startTime).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' }),
+      elapsed: Math.max(0, (snap.nowMinutes - (new Date(snap.currentTaskBlock.startTime).getHours()*60 + new Date(snap.currentTaskBlock.startTime).getMinutes())))
+    } : null
+    const next = snap.nextTaskBlock ? {
+      name: snap.nextTaskBlock.task,
+      hhmm: new Date(snap.nextTaskBlock.startTime).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' }),
+      remaining: Math.max(0, ((new Date(snap.nextTaskBlock.startTime).getHours()*60 + new Date(snap.nextTaskBlock.startTime).getMinutes()) - snap.nowMinutes))
+    } : null
+    const payload = { current, next, updatedAt: Date.now() }
+    fs.writeFileSync(path.join(dir, 'current_task.json'), JSON.stringify(payload))
+  } catch (_) {}
+}
+
+// 已移除：桌面微件数据同步定时器
+
+/*
+ * 功能：停止悬浮窗内容更新定时器（已废弃）
+ */
+function stopFloatingUpdateTimer() {
+  // if (window.floatingTimer) {
+  //   clearInterval(window.floatingTimer);
+  //   window.floatingTimer = null;
+  // }
+}
+
+/*
+ * 功能：读取悬浮窗持久化状态（utools.dbStorage）
+ * 参数：无
+ * 返回值：Object { visible?:Boolean, expanded?:Boolean, displays?:Object 按显示器记录的 { x, y, edge }, lastDisplay?:String, x?/y?:旧版本位置 }
+ * 创建日期：2025-12-01
+ * 更新日期：2025-12-15 (迁移至 dbStorage)
+ */
+function getFloatingState() {
+  try {
+    const raw = window.utools.dbStorage.getItem('floatingWindowState');
+    return raw ? raw : { visible: false };
+  } catch (_) { return { visible: false }; }
+}
+
+/*
+ * 功能：更新悬浮窗持久化状态（utools.dbStorage）
+ * 参数：patch(Object) 包含要更新的字段
+ * 返回值：无
+ * 创建日期：2025-12-01
+ * 更新日期：2025-12-15 (迁移至 dbStorage)
+ */
+function persistFloatingState(patch) {
+  try {
+    const prev = getFloatingState() || {};
+    const next = { ...prev, ...patch };
+    window.utools.dbStorage.setItem('floatingWindowState', next);
+  } catch (_) {}
+}
+
+// 进程监控
+// 已移除：进程监控与导出方法
+
+/*
+ * 功能：读取微件运行状态文件
+ * 参数：无
+ * 返回值：Object | null 状态内容，如 {running, pid, updatedAt, version, stage}
+ * 日期：2025-12-01
+ */
+// 已移除：微件运行状态读取
+
+/*
+ * 功能：检测微件是否运行（进程+心跳文件）
+ * 参数：无
+ * 返回值：Boolean 是否判定为运行中
+ * 日期：2025-12-01
+ */
+// 已移除：微件存活检测
+
+/*
+ * 功能：启动微件心跳监测（2s）并在UI上提示连接状态
+ * 参数：无
+ * 返回值：无
+ * 日期：2025-12-01
+ */
+// 已移除：微件心跳监测
+
+// 监听窗口隐藏事件
+window.utools.onPluginOut(() => {
+  window.logger.log(`[插件生命周期] onPluginOut 触发`);
+  
+  const app = document.getElementById('app');
+  if (app) {
+    const currentDisplay = app.style.display;
+    window.logger.log(`[插件生命周期] app元素当前display状态: ${currentDisplay || 'default'}`);
+    app.style.display = 'none';
+    window.logger.log(`[插件生命周期] app元素display已设置为: none`);
+  } else {
+    window.logger.error(`[插件生命周期] 未找到app元素`);
+  }
+  /*
+   * 功能：插件隐藏时暂停悬浮窗更新定时器
+   * 参数：无
+   * 返回值：无
+   * 创建日期：2025-12-01
+  */
+  
+  
+  window.logger.log(`[插件生命周期] onPluginOut 处理完成，返回false阻止退出`);
+  return false; // 返回false以阻止插件退出
+}); 
+
+// 提供隐藏窗口的方法
+window.hideWindow = () => {
+  document.getElementById('app').style.display = 'none';
+  window.utools.hideMainWindow(); // 隐藏主窗口
+};
+
+
+
+// 插件准备就绪时初始化显示
+window.utools.onPluginReady(() => {
+  const appElement = document.getElementById('app');
+  if (appElement) {
+    appElement.style.display = 'block';
+  }
+  /**
+   * 在插件就绪时恢复悬浮窗
+   * 功能：若上次退出前悬浮窗为可见，则自动恢复打开并还原位置
+   * 参数：无
+   * 返回值：无
+   * 创建日期：2025-12-08
+   */
+  const state = getFloatingState();
+  window.__floatingVisible = !!(state && state.visible);
+  // 初始化按钮文案
+  try {
+    const btn = document.getElementById('floating-toggle-btn');
+    if (btn) btn.textContent = window.__floatingVisible ? '隐藏悬浮窗' : '显示悬浮窗';
+  } catch (_) {}
+  // 补查插件关闭或休眠期间错过的提醒
+  try {
+    if (window.alertManager) window.alertManager.catchUpMissedAlerts();
+  } catch (error) {
+    window.logger.error('[错过提醒] 补查失败:', error);
+  }
+  // 自动恢复悬浮窗
+  if (state && state.visible) {
+    setTimeout(() => {
+      try { window.openFloatingWindow(); } catch (_) {}
+    }, 100);
+
+    // 兜底：若首次尝试未成功显示窗口，延迟重试一次
+    setTimeout(() => {
+      try {
+        const retryState = getFloatingState();
+        const exists = window.floatingWin && !window.floatingWin.isDestroyed();
+        let visible = false;
+        if (exists && typeof window.floatingWin.isVisible === 'function') {
+          visible = window.floatingWin.isVisible();
+        }
+        if (retryState && retryState.visible && (!exists || !visible)) {
+          window.logger.log('[插件生命周期] onPluginReady: 检测到悬浮窗未成功显示，执行兜底唤醒');
+          window.openFloatingWindow();
+        }
+      } catch (_) {}
+    }, 3000);
+  }
+  /*
+   * 功能：启动桌面微件数据同步
+   * 参数：无
+   * 返回值：无
+   * 创建日期：2025-12-01
+  */
+  // 已移除微件数据同步与心跳监测
+});
+
+// 处理预提醒时间变更
+window.handlePreAlertTimeChange = () => {
+  const preAlertTime = parseInt(document.getElementById('pre-alert-time').value);
+  const preAlertCount = preAlertTime > 3 ? 2 : 1; // 仅用于未单独设置提前量的旧时间块
+  const globalAlertEnabled = document.getElementById('global-alert-toggle').value === 'true';
+  
+  // 更新存储（保留其他已有配置项，如悬浮窗透明度、稍后提醒选项）
+  const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+  window.utools.dbStorage.setItem('globalSettings', {
+    ...settings,
+    preAlertTime,
+    preAlertCount,
+    globalAlertEnabled,
+    notificationType: 'popup' // 固定使用弹窗通知
+  });
+  try {
+    const st = getFloatingState();
+    if (st && st.visible) window.pushFloatingData();
+  } catch (_) {}
+};
+
+/*
+ * 功能：开启或关闭全局提醒（悬浮窗快捷操作使用），同步设置页开关
+ * 参数：enabled - 是否开启
+ * 返回值：无
+ * 创建日期：2026-10-18
+ */
+window.setGlobalAlertEnabled = (enabled) => {
+  const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+  window.utools.dbStorage.setItem('globalSettings', { ...settings, globalAlertEnabled: !!enabled });
+  window.logger.log(`[设置] 全局提醒已${enabled ? '开启' : '关闭'}`);
+  try { document.getElementById('global-alert-toggle').value = enabled ? 'true' : 'false'; } catch (_) {}
+  if (window.alertManager) window.alertManager.reschedule();
+  try { window.pushFloatingData(); } catch (_) {}
+};
+
+/*
+ * 功能：读取弹窗"稍后提醒"可选分钟数
+ * 参数：无
+ * 返回值：Array<Number> 升序排列的分钟数
+ * 创建日期：2026-10-18
+ */
+window.getSnoozeOptions = () => {
+  const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+  const options = Array.isArray(settings.snoozeOptions) ? settings.snoozeOptions : [];
+  const valid = options.map(Number).filter(n => Number.isInteger(n) && n > 0);
+  return valid.length > 0 ? valid.sort((a, b) => a - b) : [5, 10, 15];
+};
+
+/*
+ * 功能：处理"稍后提醒"选项变更
+ * 参数：value - 逗号分隔的分钟数，如 "5,10,15"
+ * 返回值：无
+ * 创建日期：2026-10-18
+ */
+window.handleSnoozeOptionsChange = (value) => {
+  const minutes = String(value || '')
+    .split(/[,，\s]+/)
+    .map(v => parseInt(v, 10))
+    .filter(n => Number.isInteger(n) && n > 0 && n <= 720);
+  const unique = Array.from(new Set(minutes)).sort((a, b) => a - b).slice(0, 5);
+
+  const input = document.getElementById('snooze-options');
+  if (unique.length === 0) {
+    window.showToast('请输入有效的分钟数，如 5,10,15', 'error');
+    if (input) input.value = window.getSnoozeOptions().join(',');
+    return;
+  }
+
+  const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+  settings.snoozeOptions = unique;
+  window.utools.dbStorage.setItem('globalSettings', settings);
+  if (input) input.value = unique.join(',');
+  window.showToast('稍后提醒选项已保存');
+};
+
+window.handleAvatarUpload = () => {
+  const result = utools.showOpenDialog({
+    filters: [{ name: '图片', extensions: ['jpg', 'jpeg', 'png', 'gif'] }],
+    properties: ['openFile']
+  });
+  if (result && result.length > 0) {
+    const file = result[0];
+    const destPath = path.join(window.utools.getPath('userData'), 'touxiang.png');
+    window.logger.log('[头像上传] 开始复制文件:', {源文件: file, 目标路径: destPath});
+    
+    try {
+      fs.copyFileSync(file, destPath);
+      const config = JSON.parse(window.utools.dbStorage.getItem('globalConfig') || '{}');
+      config.avatar = destPath;
+      window.utools.dbStorage.setItem('globalConfig', JSON.stringify(config));
+      window.logger.log('[头像上传] 文件复制成功，更新数据库');
+      
+      // 更新预览并添加时间戳参数
+      const timestamp = new Date().getTime();
+      document.getElementById('avatarPreview').src = `${destPath}?t=${timestamp}`;
+      window.logger.log('[头像预览] 已更新预览地址:', `${destPath}?t=${timestamp}`);
+    } catch (error) {
+      window.logger.error('[头像上传] 文件复制失败:', error);
+      window.showToast(`头像更新失败: ${error.message}`, 'error');
+    }
+  }
+};
+
+// 铃声上传功能：复制到插件数据目录并加入铃声库，同时设为默认铃声
+window.handleBellSoundUpload = () => {
+  const result = utools.showOpenDialog({
+    filters: [{ name: '音频文件', extensions: ['mp3', 'wav', 'ogg', 'm4a', 'aac'] }],
+    properties: ['openFile']
+  });
+  if (result && result.length > 0) {
+    const file = result[0];
+    const fileName = path.basename(file);
+    const destPath = path.join(window.utools.getPath('userData'), `bell_${fileName}`);
+    window.logger.log('[铃声上传] 开始复制文件:', {源文件: file, 目标路径: destPath});
+    
+    try {
+      fs.copyFileSync(file, destPath);
+      const { library, sound } = getSoundConfig();
+      let entry = library.find(item => item.path === destPath);
+      if (!entry) {
+        entry = { id: `file:${Date.now().toString(36)}`, name: fileName, path: destPath };
+        library.push(entry);
+      }
+      saveSoundConfig(library, normalizeSound({ ...sound, id: entry.id }));
+      window.logger.log('[铃声上传] 文件复制成功，已加入铃声库');
+      
+      // 更新UI显示
+      updateBellSoundUI();
+      window.showToast(`已添加铃声: ${fileName}`);
+    } catch (error) {
+      window.logger.error('[铃声上传] 文件复制失败:', error);
+      window.showToast(`铃声设置失败: ${error.message}`, 'error');
+    }
+  }
+};
+
+/*
+ * 功能：从铃声库删除上传的铃声（默认铃声或时间块引用它时回退到默认设置）
+ * 参数：id - 铃声ID
+ * 返回值：无
+ * 创建日期：2026-10-18
+ */
+window.removeSoundFromLibrary = (id) => {
+  try {
+    const { library, sound } = getSoundConfig();
+    const entry = library.find(item => item.id === id);
+    if (!entry) return;
+    window.stopBellSound();
+    // 只删除插件自己复制的文件
+    if (path.dirname(entry.path) === window.utools.getPath('userData') && fs.existsSync(entry.path)) {
+      fs.unlinkSync(entry.path);
+    }
+    saveSoundConfig(library.filter(item => item.id !== id), normalizeSound({ ...sound, id: sound.id === id ? DEFAULT_SOUND_ID : sound.id }));
+    window.logger.log(`[铃声设置] 删除铃声: ${entry.name}`);
+    updateBellSoundUI();
+    window.showToast(`已删除铃声: ${entry.name}`);
+  } catch (error) {
+    window.logger.error('[铃声设置] 删除铃声失败:', error);
+    window.showToast(`删除铃声失败: ${error.message}`, 'error');
+  }
+};
+
+// 试听铃声库中的一个铃声（只响一遍）
+window.previewSound = (sound) => {
+  window.playBellSound({ ...sound, repeat: 1 }, 'preview');
+};
+
+// 重置为默认铃声
+window.resetToDefaultBellSound = () => {
+  try {
+    window.saveDefaultSound({ id: DEFAULT_SOUND_ID });
+    window.logger.log('[铃声设置] 重置为默认铃声');
+    window.showToast('已重置为默认铃声');
+  } catch (error) {
+    window.logger.error('[铃声设置] 重置失败:', error);
+    window.showToast(`铃声设置失败: ${error.message}`, 'error');
+  }
+};
+
+// 响铃次数的中文描述
+window.describeSoundRepeat = (repeat) => (repeat === 0 ? '直到关闭弹窗' : `响${repeat}遍`);
+
+// 用铃声库填充下拉框，保留 data-fixed 的固定选项（如"跟随默认铃声"）
+function fillSoundSelect(select, library, value) {
+  if (!select) return;
+  select.querySelectorAll('option:not([data-fixed])').forEach(option => option.remove());
+  library.forEach(item => {
+    const option = document.createElement('option');
+    option.value = item.id;
+    option.textContent = item.builtin ? item.name : `${item.name}（上传）`;
+    select.appendChild(option);
+  });
+  select.value = library.some(item => item.id === value) || select.querySelector(`option[data-fixed][value="${value}"]`) ? value : select.options[0].value;
+}
+
+// 更新铃声UI显示（设置页铃声库、默认响铃参数，以及时间块表单的铃声下拉框）
+function updateBellSoundUI() {
+  const library = window.getSoundLibrary();
+  const sound = window.getDefaultSound();
+  const current = library.find(item => item.id === sound.id) || library[0];
+
+  const statusElement = document.getElementById('bell-sound-status');
+  if (statusElement) {
+    statusElement.textContent = `当前: ${current.name}，音量 ${Math.round(sound.volume * 100)}%，${sound.fadeIn > 0 ? `${sound.fadeIn}秒渐强，` : ''}${window.describeSoundRepeat(sound.repeat)}`;
+    statusElement.style.color = current.builtin ? '#666' : '#52c41a';
+  }
+
+  fillSoundSelect(document.getElementById('default-sound-id'), library, sound.id);
+  const taskSoundSelect = document.getElementById('task-sound');
+  if (taskSoundSelect) fillSoundSelect(taskSoundSelect, library, taskSoundSelect.value);
+
+  const volumeInput = document.getElementById('default-sound-volume');
+  if (volumeInput) {
+    volumeInput.value = Math.round(sound.volume * 100);
+    document.getElementById('default-sound-volume-value').textContent = `${volumeInput.value}%`;
+    document.getElementById('default-sound-fade-in').value = sound.fadeIn;
+    document.getElementById('default-sound-repeat').value = String(sound.repeat);
+  }
+
+  // 上传的铃声列表：试听 / 删除
+  const list = document.getElementById('sound-library-list');
+  if (list) {
+    list.innerHTML = '';
+    library.filter(item => !item.builtin).forEach(item => {
+      const row = document.createElement('div');
+      row.className = 'sound-library-item';
+      const name = document.createElement('span');
+      name.textContent = item.name;
+      const preview = document.createElement('button');
+      preview.textContent = '试听';
+      preview.addEventListener('click', () => window.previewSound({ id: item.id }));
+      const remove = document.createElement('button');
+      remove.className = 'delete';
+      remove.textContent = '删除';
+      remove.addEventListener('click', () => window.removeSoundFromLibrary(item.id));
+      row.appendChild(name);
+      row.appendChild(preview);
+      row.appendChild(remove);
+      list.appendChild(row);
+    });
+    list.style.display = list.children.length > 0 ? 'block' : 'none';
+  }
+}
+
+  // 提醒系统状态机
+  const AlertState = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    PRE_ALERT: 'pre_alert',
+    ALERTING: 'alerting',
+    PAUSED: 'paused',
+    COMPLETED: 'completed'
+  };
+  
+  // 稍后提醒队列存储键：[{ id, blockId, task, dueAt }]
+  const SNOOZED_ALERTS_KEY = 'snoozedAlerts';
+
+  // 结束提醒队列存储键：[{ id, blockId, task, endAt }]，主提醒触发时加入，单次闹钟删除后仍能提醒
+  const END_ALERTS_KEY = 'pendingEndAlerts';
+  // 待确认提醒：[{ blockId, task, sound, interval, maxTimes, count, nextAt, startedAt }]，nextAt 为 null 表示已达最多次数、仅等待确认
+  const ESCALATIONS_KEY = 'pendingEscalations';
+
+  // 调度器参数
+  const SCHEDULER_MAX_DELAY = 60000; // 单次定时最长等待时间，超过则分段等待，避免系统时间调整后长时间不触发
+  const SCHEDULER_HEARTBEAT = 5000; // 心跳间隔：检测休眠唤醒/时钟跳变，并同步悬浮窗数据
+  const SCHEDULER_DRIFT_THRESHOLD = 3000; // 心跳偏差超过该值视为休眠唤醒或系统时间被修改
+
+  // 错过提醒补偿：持久化"最后触发"记录与调度检查点，重启/唤醒后据此找出错过的提醒
+  const FIRED_RECORDS_KEY = 'alertFiredRecords'; // { [blockId]: 最近一次主提醒对应的发生时间戳 }
+  const FIRED_PRE_ALERTS_KEY = 'preAlertFiredRecords'; // { [blockId]: [`${发生时间戳}:${提前分钟}`] }，重启后不重复预提醒
+  const SKIPPED_OCCURRENCES_KEY = 'skippedOccurrences'; // { [blockId]: [被跳过的发生时间戳] }
+  const SCHEDULER_CHECKPOINT_KEY = 'alertSchedulerCheckpoint'; // 调度器最近一次检查的时间戳
+  const CHECKPOINT_SAVE_INTERVAL = 30000; // 检查点写入节流间隔
+  const MISSED_ALERT_GRACE = 2 * 60000; // 延迟超过该时长的提醒视为"错过"，汇总提示而不是直接响铃
+  const MISSED_SCAN_LIMIT = 366; // 单个时间块最多回溯的错过次数
+
+  // 全局状态变量
+  const lastFiredOccurrences = new Map(Object.entries(window.utools.dbStorage.getItem(FIRED_RECORDS_KEY) || {})); // blockId -> 最近一次主提醒对应的发生时间戳
+  const firedPreAlerts = new Map(Object.entries(window.utools.dbStorage.getItem(FIRED_PRE_ALERTS_KEY) || {}).map(([id, keys]) => [id, new Set(keys)])); // blockId -> Set<`${发生时间戳}:${提前分钟}`>
+  const skippedOccurrences = new Map(Object.entries(window.utools.dbStorage.getItem(SKIPPED_OCCURRENCES_KEY) || {}).map(([id, times]) => [id, new Set(times)])); // blockId -> Set<被跳过的发生时间戳>
+  
+  class AlertManager {
+    constructor() {
+      this.state = AlertState.IDLE;
+      this.timeBlocks = window.getTimeSettings();
+      this.timer = null;
+      this.heartbeat = null;
+      this.nextDueAt = null;
+      // 从上次运行的检查点继续，插件关闭或休眠期间到期的提醒会在首次检查时被识别为"错过"
+      const checkpoint = window.utools.dbStorage.getItem(SCHEDULER_CHECKPOINT_KEY);
+      this.lastCheckAt = typeof checkpoint === 'number' && checkpoint < Date.now() ? checkpoint : Date.now();
+      this.lastCheckpointSavedAt = 0;
+      this.lastHeartbeatAt = Date.now();
+      this.dueSources = []; // 番茄钟、倒计时等额外到期来源，见 registerDueSource
+      this.startScheduler();
+    }
+  
+    startTimeBlock(block) {
+      window.logger.log(`[调度器] 手动刷新时间块调度: ${block && block.task}`);
+      this.reschedule();
+    }
+
+    /*
+     * 功能：启动调度器（单一定时器 + 心跳检测）
+     * 说明：为每个时间块计算下一次触发时刻，只为最早的一个设置定时器；
+     *       心跳用于发现休眠唤醒或系统时间修改，并立即重新计算
+     * 参数：无
+     * 返回值：无
+     * 创建日期：2026-10-18（替代原 5 秒分钟比对轮询）
+     */
+    startScheduler() {
+      if (this.heartbeat) return;
+      this.state = AlertState.RUNNING;
+      this.lastHeartbeatAt = Date.now();
+      this.heartbeat = setInterval(() => this.onHeartbeat(), SCHEDULER_HEARTBEAT);
+      this.reschedule();
+    }
+
+    stopScheduler() {
+      if (this.timer) clearTimeout(this.timer);
+      if (this.heartbeat) clearInterval(this.heartbeat);
+      this.timer = null;
+      this.heartbeat = null;
+      this.nextDueAt = null;
+      this.state = AlertState.IDLE;
+    }
+
+    onHeartbeat() {
+      const now = Date.now();
+      const drift = now - (this.lastHeartbeatAt + SCHEDULER_HEARTBEAT);
+      this.lastHeartbeatAt = now;
+
+      if (Math.abs(drift) > SCHEDULER_DRIFT_THRESHOLD) {
+        window.logger.log(`[调度器] 检测到时钟跳变/休眠唤醒，偏差 ${Math.round(drift / 1000)} 秒，重新计算调度`);
+        this.evaluate();
+      } else if (this.nextDueAt !== null && now >= this.nextDueAt) {
+        // 兜底：定时器被节流或延迟时由心跳补触发
+        this.evaluate();
+      }
+
+      this.saveCheckpoint(false);
+
+      // 同步更新悬浮窗数据
+      try { window.pushFloatingData(); } catch (_) {}
+    }
+
+    /*
+     * 功能：持久化调度检查点，作为下次启动时回溯错过提醒的起点
+     * 参数：force - 是否忽略节流立即写入
+     * 返回值：无
+     * 创建日期：2026-10-18
+     */
+    saveCheckpoint(force) {
+      const now = Date.now();
+      if (!force && now - this.lastCheckpointSavedAt < CHECKPOINT_SAVE_INTERVAL) return;
+      // 检查点不能超过尚未处理的区间起点，否则会跳过未检查的提醒
+      const checkpoint = Math.min(now, this.lastCheckAt);
+      try {
+        window.utools.dbStorage.setItem(SCHEDULER_CHECKPOINT_KEY, checkpoint);
+        this.lastCheckpointSavedAt = now;
+      } catch (_) {}
+    }
+
+    /*
+     * 功能：插件就绪时补查错过的提醒（由 onPluginReady 调用）
+     * 参数：无
+     * 返回值：无
+     * 创建日期：2026-10-18
+     */
+    catchUpMissedAlerts() {
+      window.logger.log(`[错过提醒] 从 ${new Date(this.lastCheckAt).toLocaleString()} 开始补查`);
+      this.evaluate();
+    }
+
+    /*
+     * 功能：根据当前时间块重新设置定时器（时间块变更、唤醒后调用）
+     * 参数：无
+     * 返回值：Number|null 下一次触发的时间戳
+     */
+    reschedule() {
+      this.timeBlocks = window.getTimeSettings();
+      return this.armTimer();
+    }
+
+    armTimer() {
+      if (this.timer) clearTimeout(this.timer);
+      this.timer = null;
+
+      const now = Date.now();
+      const dueAt = this.getNextDueTime(now);
+      this.nextDueAt = dueAt;
+
+      const delay = dueAt === null
+        ? SCHEDULER_MAX_DELAY
+        : Math.min(Math.max(dueAt - now, 0), SCHEDULER_MAX_DELAY);
+      this.timer = setTimeout(() => this.evaluate(), delay);
+
+      if (dueAt !== null) {
+        window.logger.debug(`[调度器] 下一次触发: ${new Date(dueAt).toLocaleString()}，等待 ${Math.round(delay / 1000)} 秒`);
+      }
+      return dueAt;
+    }
+
+    /*
+     * 功能：注册额外的到期来源，与时间块共用同一个定时器和休眠唤醒检测
+     * 参数：source - { name, getNextDueTime(now): Number|null, processDue(now): void }
+     * 返回值：无
+     * 创建日期：2026-10-18
+     */
+    registerDueSource(source) {
+      this.dueSources.push(source);
+      this.armTimer();
+    }
+
+    // 读取全局提醒参数
+    getAlertSettings() {
+      return window.utools.dbStorage.getItem('globalSettings') || {
+        preAlertTime: 3,
+        preAlertCount: 1,
+        globalAlertEnabled: true
+      };
+    }
+
+    // 时间块的预提醒提前量（分钟），见 getPreAlertLeads
+    getPreAlertLeadMinutes(block, settings) {
+      return getPreAlertLeads(block, settings);
+    }
+
+    // 仅处理待触发状态的时间块（启用状态由 getNextOccurrenceDate 判断）
+    isBlockSchedulable(block) {
+      return !!block && block.status === 'pending' && isBlockCategoryEnabled(block);
+    }
+
+    /*
+     * 功能：计算所有提醒中最早的下一次触发时刻（主提醒、预提醒、稍后提醒、结束提醒及注册的到期来源）
+     * 参数：now - 当前时间戳
+     * 返回值：Number|null
+     */
+    getNextDueTime(now) {
+      const candidates = [];
+      this.dueSources.forEach(source => {
+        const dueAt = source.getNextDueTime(now);
+        if (typeof dueAt === 'number') candidates.push(dueAt);
+      });
+
+      const settings = this.getAlertSettings();
+      if (settings.globalAlertEnabled === false) {
+        return candidates.length > 0 ? Math.min(...candidates) : null;
+      }
+
+      this.getSnoozedAlerts().forEach(item => candidates.push(item.dueAt));
+      this.getEndAlerts().forEach(item => candidates.push(item.endAt));
+      this.getEscalations().forEach(item => {
+        if (item.nextAt) candidates.push(item.nextAt);
+      });
+
+      this.timeBlocks.forEach(block => {
+        if (!this.isBlockSchedulable(block)) return;
+
+        const next = this.getNextUnskippedOccurrence(block, new Date(now));
+        if (next) candidates.push(next.getTime());
+
+        this.getPreAlertLeadMinutes(block, settings).forEach(lead => {
+          const leadMs = lead * 60000;
+          const occurrence = this.getNextUnskippedOccurrence(block, new Date(now + leadMs));
+          if (occurrence) candidates.push(occurrence.getTime() - leadMs);
+        });
+      });
+
+      return candidates.length > 0 ? Math.min(...candidates) : null;
+    }
+
+    /*
+     * 功能：处理 (lastCheckAt, now] 区间内到期的所有提醒，然后重新设置定时器
+     * 说明：按区间而非"分钟相等"判断，定时器延迟、休眠唤醒后也不会漏掉提醒
+     * 参数：无
+     * 返回值：无
+     */
+    evaluate() {
+      const now = Date.now();
+      let since = this.lastCheckAt;
+      if (since > now) {
+        // 系统时间被调回，从当前时间重新开始计算
+        window.logger.log('[调度器] 系统时间回退，重置检查起点');
+        since = now;
+      }
+      this.lastCheckAt = now;
+      this.timeBlocks = window.getTimeSettings();
+
+      const settings = this.getAlertSettings();
+      if (settings.globalAlertEnabled !== false) {
+        try {
+          const missed = this.processDueAlerts(since, now, settings);
+          if (missed.length > 0) this.showMissedSummary(missed);
+        } catch (error) {
+          window.logger.error('[调度器] 处理到期提醒失败:', error);
         }
+      }
 
-        // 轻量兜底：延时再次置顶和可见性校正
-        setTimeout(() => {
-          try {
-            if (!window.floatingWin || window.floatingWin.isDestroyed()) return;
-            try {
-              window.floatingWin.setAlwaysOnTop(true, 'screen-saver');
-            } catch (_) {
-              try { window.floatingWin.setAlwaysOnTop(true); } catch (_) {}
-            }
+      // 注册的到期来源由用户主动开启，不受全局提醒开关影响
+      this.dueSources.forEach(source => {
+        try {
+          source.processDue(now);
+        } catch (error) {
+          window.logger.error(`[调度器] 处理${source.name}失败:`, error);
+        }
+      });
 
-            const settings = window.utools.dbStorage.getItem('globalSettings') || {};
-            let opacity = parseFloat(settings.floatingOpacity);
-            if (isNaN(opacity)) opacity = 0.8;
+      this.saveCheckpoint(true);
+      this.armTimer();
+      try { window.pushFloatingData(); } catch (_) {}
+    }
 
-            if (window.floatingWin.webContents) {
-              try {
-                ipcRenderer.sendTo(window.floatingWin.webContents.id, 'widget-message', {
-                  type: 'update-opacity',
-                  value: opacity
-                });
-              } catch (_) {}
-            }
+    /*
+     * 返回值：Array<{ blockId, task, occurrence, count }> 错过的提醒（延迟超过 MISSED_ALERT_GRACE）
+     */
+    processDueAlerts(since, now, settings) {
+      // 检查到期的稍后提醒、结束提醒和未确认的重复提醒
+      this.checkSnoozedAlerts(now);
+      this.checkEndAlerts(now);
+      this.checkEscalations(now);
 
-            if (typeof window.floatingWin.isVisible === 'function' && !window.floatingWin.isVisible()) {
-              window.floatingWin.show();
-            }
-          } catch (_) {}
-        }, 100);
-      } catch (e) {
-        try { window.logger.error('[悬浮窗] open: 唤醒现有窗口失败', e); } catch (_) {}
+      let hasUpdates = false;
+      const removedIds = [];
+      const missed = [];
+
+      this.timeBlocks.forEach(block => {
+        if (!this.isBlockSchedulable(block)) return;
+
+        // 预提醒：提醒时刻落在区间内且主提醒尚未到达
+        this.getPreAlertLeadMinutes(block, settings).forEach(lead => {
+          const leadMs = lead * 60000;
+          const occurrence = this.getNextUnskippedOccurrence(block, new Date(since + leadMs));
+          if (!occurrence) return;
+          const occurrenceTime = occurrence.getTime();
+          const preAlertAt = occurrenceTime - leadMs;
+          if (preAlertAt > now || occurrenceTime <= now) return;
+
+          const key = `${occurrenceTime}:${lead}`;
+          const fired = firedPreAlerts.get(block.id) || new Set();
+          if (fired.has(key)) return;
+          fired.add(key);
+          firedPreAlerts.set(block.id, fired);
+          this.saveFiredPreAlerts();
+
+          const remaining = Math.max(1, Math.round((occurrenceTime - now) / 60000));
+          window.logger.log(`[调度器] 触发预提醒: ${block.task}, 剩余${remaining}分钟`);
+          this.showSideAlert(block, remaining, occurrenceTime);
+        });
+
+        // 主提醒：区间内的所有发生时间（休眠/关闭较久时可能有多次），跳过的发生时间不响铃也不计为错过
+        const occurrences = [];
+        const skipped = skippedOccurrences.get(block.id);
+        let occurrence = getNextOccurrenceDate(block, new Date(since));
+        while (occurrence && occurrence.getTime() <= now && occurrences.length < MISSED_SCAN_LIMIT) {
+          if (lastFiredOccurrences.get(block.id) !== occurrence.getTime() && !(skipped && skipped.has(occurrence.getTime()))) {
+            occurrences.push(occurrence.getTime());
+          }
+          occurrence = getNextOccurrenceDate(block, occurrence);
+        }
+        this.pruneSkippedOccurrences(block.id, now);
+        if (occurrences.length === 0) return;
+
+        // 最近一次在宽限时间内则照常响铃，其余计为错过
+        const occurrenceTime = occurrences[occurrences.length - 1];
+        const lateMs = now - occurrenceTime;
+        const missedCount = lateMs > MISSED_ALERT_GRACE ? occurrences.length : occurrences.length - 1;
+        if (lateMs <= MISSED_ALERT_GRACE) {
+          const lateSeconds = Math.round(lateMs / 1000);
+          window.logger.log(`[调度器] 触发主提醒: ${block.task}${lateSeconds > 1 ? `（延迟 ${lateSeconds} 秒）` : ''}`);
+          appendHistory({ blockId: block.id, task: block.task, occurrence: occurrenceTime, type: 'fired' });
+          this.showAlert(block);
+        }
+        if (missedCount > 0) {
+          const lastMissed = lateMs > MISSED_ALERT_GRACE ? occurrenceTime : occurrences[occurrences.length - 2];
+          window.logger.log(`[错过提醒] ${block.task}: 错过 ${missedCount} 次，最近一次 ${new Date(lastMissed).toLocaleString()}`);
+          missed.push({ blockId: block.id, task: block.task, occurrence: lastMissed, count: missedCount });
+          occurrences.slice(0, missedCount).forEach(time => {
+            appendHistory({ blockId: block.id, task: block.task, occurrence: time, type: 'missed' });
+          });
+        }
+        this.recordFiredOccurrence(block.id, occurrenceTime);
+        if (firedPreAlerts.delete(block.id)) this.saveFiredPreAlerts();
+        this.scheduleEndAlert(block, occurrenceTime, now);
+
+        if (this.advanceBlockAfterAlert(block, occurrenceTime)) {
+          removedIds.push(block.id);
+        }
+        hasUpdates = true;
+      });
+
+      if (hasUpdates) {
+        const blocks = this.timeBlocks.filter(b => !removedIds.includes(b.id));
+        removedIds.forEach(id => this.resetBlockState(id));
+        window.saveTimeSettings(blocks);
+        this.timeBlocks = blocks;
+        if (typeof window.renderTimeline === 'function') {
+          try { window.renderTimeline(); } catch (_) {}
+        }
       }
+      return missed;
+    }
 
-      persistFloatingState({ visible: true });
-      window.__floatingVisible = true;
-      try { const btn = document.getElementById('floating-toggle-btn'); if (btn) btn.textContent = '隐藏悬浮窗'; } catch (_) {}
-      return window.floatingWin;
+    // 记录并持久化时间块最近一次触发的发生时间
+    recordFiredOccurrence(blockId, occurrenceTime) {
+      lastFiredOccurrences.set(blockId, occurrenceTime);
+      this.saveFiredRecords();
     }
 
-    // 创建新窗口
-    try { window.logger.log('[悬浮窗] open: 开始创建新窗口'); } catch (_) {}
-    window.__floatingOpening = true;
+    // from 之后第一个未被跳过的发生时间
+    getNextUnskippedOccurrence(block, from) {
+      const skipped = skippedOccurrences.get(block.id);
+      let next = getNextOccurrenceDate(block, from);
+      for (let i = 0; next && skipped && skipped.has(next.getTime()) && i <= skipped.size; i++) {
+        next = getNextOccurrenceDate(block, next);
+      }
+      return next;
+    }
 
-    const state = getFloatingState();
-    const settings = window.utools.dbStorage.getItem('globalSettings') || {};
-    let opacity = parseFloat(settings.floatingOpacity);
-    if (isNaN(opacity)) opacity = 0.8;
-    opacity = Math.max(0.1, Math.min(1.0, opacity));
+    // 下一次尚未触发且未被跳过的发生时间
+    getUpcomingOccurrence(block, now) {
+      const next = this.getNextUnskippedOccurrence(block, now);
+      if (next && lastFiredOccurrences.get(block.id) === next.getTime()) return this.getNextUnskippedOccurrence(block, next);
+      return next;
+    }
 
-    const floatingPath = `./floating.html?opacity=${opacity}`;
-    try { window.logger.log(`[悬浮窗] open: 准备创建，透明度=${opacity}`); } catch (_) {}
+    /*
+     * 功能：跳过时间块的下一次提醒及其预提醒，与触发一样消耗一次提醒次数，单次闹钟直接删除
+     * 参数：blockId - 时间块ID
+     * 返回值：Number|null 被跳过的发生时间，没有下一次提醒时返回 null
+     * 创建日期：2026-10-18
+     */
+    skipNextOccurrence(blockId) {
+      const blocks = window.getTimeSettings();
+      const block = blocks.find(item => item.id === blockId);
+      const next = block ? this.getUpcomingOccurrence(block, new Date()) : null;
+      if (!next) return null;
 
-    const win = window.utools.createBrowserWindow(floatingPath, {
-      width: FLOATING_WINDOW_WIDTH,
-      height: FLOATING_WINDOW_HEIGHT,
-      frame: false,
-      resizable: false,
-      transparent: true,
-      backgroundColor: '#00000000',
-      alwaysOnTop: true,
-      skipTaskbar: true,
-      show: false,
-      useContentSize: true,
-      thickFrame: false,
-      hasShadow: false,
-      webPreferences: {
-        preload: 'floating_preload.js',
-        nodeIntegration: true,
-        contextIsolation: false,
-        sandbox: false,
-        backgroundThrottling: false
+      const occurrenceTime = next.getTime();
+      window.logger.log(`[调度器] 跳过下一次提醒: ${block.task} ${new Date(occurrenceTime).toLocaleString()}`);
+      if (getRecurrenceRule(block).freq === 'once') {
+        window.deleteTimeBlock(blockId);
+        return occurrenceTime;
       }
-    }, () => {
+      const skipped = skippedOccurrences.get(blockId) || new Set();
+      skipped.add(occurrenceTime);
+      skippedOccurrences.set(blockId, skipped);
+      this.saveSkippedOccurrences();
+      this.advanceBlockAfterAlert(block, occurrenceTime);
+      window.saveTimeSettings(blocks);
+      return occurrenceTime;
+    }
+
+    // 清除已经过去的跳过记录
+    pruneSkippedOccurrences(blockId, now) {
+      const skipped = skippedOccurrences.get(blockId);
+      if (!skipped) return;
+      const size = skipped.size;
+      skipped.forEach(time => { if (time <= now) skipped.delete(time); });
+      if (skipped.size === 0) skippedOccurrences.delete(blockId);
+      if (skipped.size !== size) this.saveSkippedOccurrences();
+    }
+
+    saveFiredRecords() {
       try {
-        if (!win) {
-          try { window.logger.error('[悬浮窗] open: 回调时窗口对象为空'); } catch (_) {}
-          return;
+        window.utools.dbStorage.setItem(FIRED_RECORDS_KEY, Object.fromEntries(lastFiredOccurrences));
+      } catch (_) {}
+    }
+
+    saveFiredPreAlerts() {
+      try {
+        const records = {};
+        firedPreAlerts.forEach((keys, blockId) => { records[blockId] = [...keys]; });
+        window.utools.dbStorage.setItem(FIRED_PRE_ALERTS_KEY, records);
+      } catch (_) {}
+    }
+
+    saveSkippedOccurrences() {
+      try {
+        const records = {};
+        skippedOccurrences.forEach((times, blockId) => { records[blockId] = [...times]; });
+        window.utools.dbStorage.setItem(SKIPPED_OCCURRENCES_KEY, records);
+      } catch (_) {}
+    }
+
+    /*
+     * 功能：弹出错过提醒汇总窗口，可逐条"知道了"或"稍后提醒"
+     * 参数：missed - processDueAlerts 返回的错过列表
+     * 返回值：无
+     * 创建日期：2026-10-18
+     */
+    showMissedSummary(missed) {
+      window.logger.log(`[错过提醒] 共 ${missed.length} 个时间块有错过的提醒，显示汇总`);
+      window.sendNotification('错过的提醒', `你离开期间有 ${missed.length} 项提醒未响起`, {
+        missedItems: missed.map(item => ({
+          ...item,
+          timeText: new Date(item.occurrence).toLocaleString('zh-CN', { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' })
+        }))
+      });
+    }
+
+    /*
+     * 功能：主提醒触发后更新时间块（剩余次数、下一次开始时间）
+     * 参数：block - 时间块（原地修改）；occurrenceTime - 本次触发对应的发生时间戳
+     * 返回值：Boolean 是否应删除该时间块（单次闹钟）
+     */
+    advanceBlockAfterAlert(block, occurrenceTime) {
+      // 处理快速闹钟（单次提醒）
+      if (getRecurrenceRule(block).freq === 'once') {
+        window.logger.log(`[调度器] 快速闹钟触发完毕，自动删除: ${block.task}`);
+        return true;
+      }
+
+      // 处理提醒次数（兼容性处理）
+      const reminderCount = block.reminderCount !== undefined ? block.reminderCount : -1;
+      const remainingCount = block.remainingCount !== undefined ? block.remainingCount : reminderCount;
+      if (reminderCount !== -1) { // 不是永久提醒
+        block.remainingCount = Math.max(0, remainingCount - 1);
+        if (block.remainingCount === 0) {
+          block.enabled = false; // 提醒次数用完后禁用
+          window.logger.log(`[调度器] 提醒次数已用完，禁用时间块: ${block.task}`);
+        }
+      }
+
+      // 设置为下一个符合条件的日期
+      const nextDate = this.getNextUnskippedOccurrence({ ...block, enabled: true }, new Date(occurrenceTime));
+      if (nextDate) block.startTime = nextDate.getTime();
+      block.status = 'pending';
+      window.logger.log(`[调度器] 重置时间块: ${block.task}, 下次提醒时间: ${new Date(block.startTime).toLocaleString()}`);
+      return false;
+    }
+
+    /*
+     * 功能：清除时间块的调度状态（时间块编辑或删除后调用）
+     * 参数：blockId - 时间块ID
+     * 返回值：无
+     */
+    resetBlockState(blockId) {
+      if (lastFiredOccurrences.delete(blockId)) this.saveFiredRecords();
+      if (firedPreAlerts.delete(blockId)) this.saveFiredPreAlerts();
+      if (skippedOccurrences.delete(blockId)) this.saveSkippedOccurrences();
+    }
+  
+    showSideAlert(block, remainingMinutes, occurrenceTime) {
+      window.logger.log(`[预提醒] 显示预提醒: ${block.task}, 剩余${remainingMinutes}分钟`);
+      
+      // 按时间块的提醒方式发送（预提醒铃声只响一遍）；preAlertOccurrence 供免打扰补发时重新计算剩余时间
+      window.sendNotification(
+        `${block.task}`,
+        `还剩${remainingMinutes}分钟`,
+        { channels: window.getBlockChannels(block), sound: { ...(block.sound || {}), repeat: 1 }, category: window.getBlockCategory(block), preAlertOccurrence: occurrenceTime }
+      );
+    }
+  
+    showAlert(block, options = {}) {
+      window.logger.log(`[主提醒] 显示主提醒: ${block.task}${options.snoozed ? '（稍后提醒）' : ''}`);
+      
+      // 统计用户真实使用情况
+      try {
+        if (window.umami && typeof window.umami.track === 'function') {
+          window.umami.track('alert-triggered', {
+            task: block.task,
+            time: new Date().toLocaleTimeString(),
+            hasPreAlert: block.preAlert || false
+          });
+          window.logger.log('[统计] 主提醒事件已记录');
         }
+      } catch (error) {
+        window.logger.log('[统计] 统计记录失败:', error);
+      }
+      
+      // 按时间块的提醒方式发送（弹窗附带稍后提醒/完成操作，启用重复提醒时附带"知道了"）
+      // 铃声在弹窗关闭、稍后提醒或完成时停止
+      const policy = getEscalationPolicy(block);
+      const startsEscalation = !!(policy && !options.escalation);
+      let body = options.snoozed ? '稍后提醒时间到！' : '时间到！';
+      if (options.escalation) body = `仍未确认，第 ${options.escalation.count} 次重复提醒`;
+      const result = window.sendNotification(block.task, body, {
+        channels: window.getBlockChannels(block),
+        sound: block.sound || {},
+        ringKey: `block:${block.id}`,
+        blockId: block.id,
+        task: block.task,
+        category: window.getBlockCategory(block),
+        acknowledge: !!(policy || options.escalation),
+        escalationPolicy: startsEscalation ? policy : undefined
+      });
+      // 免打扰期间没有发出提醒，不进入重复提醒；暂存的提醒在补发时再开始
+      if (startsEscalation && result.channels.length > 0) this.startEscalation(block, policy);
+    }
+  
+    /*
+     * 功能：处理提醒弹窗中的操作
+     * 参数：action - 'snooze' | 'delay' | 'complete' | 'dismiss'
+     *       blockId - 时间块ID
+     *       payload - 附加参数，如 { minutes, task }
+     * 返回值：无
+     * 更新日期：2026-10-18 接入弹窗的稍后提醒/完成按钮
+     */
+    handleAction(action, blockId, payload = {}) {
+      if (!blockId) {
+        window.logger.warn(`[提醒操作] 缺少时间块ID，忽略操作: ${action}`);
+        return;
+      }
+      // 任何操作都会结束该时间块的响铃；只有确认、稍后提醒或完成才结束重复提醒，直接关闭弹窗仍会按计划再次提醒
+      window.stopBellSound(`block:${blockId}`);
+      if (['acknowledge', 'complete', 'snooze', 'delay'].includes(action) && this.cancelEscalation(blockId)) {
+        window.logger.log(`[重复提醒] 已确认: ${payload.task || blockId}（${action}）`);
+      }
+      // 直接关闭弹窗不记入历史，"已确认"只表示点击了知道了
+      const historyType = { complete: 'completed', snooze: 'snoozed', delay: 'snoozed', acknowledge: 'acknowledged' }[action];
+      if (historyType) {
+        appendHistory({
+          blockId,
+          task: payload.task,
+          occurrence: payload.occurrence || lastFiredOccurrences.get(blockId),
+          type: historyType,
+          minutes: historyType === 'snoozed' ? parseInt(payload.minutes, 10) || 10 : undefined
+        });
+      }
+      if (action === 'complete') {
+        this.state = AlertState.COMPLETED;
+        this.completeBlock(blockId);
+      } else if (action === 'snooze' || action === 'delay') {
+        this.state = AlertState.PAUSED;
+        const minutes = parseInt(payload.minutes, 10) || 10; // 默认10分钟后重新提醒
+        this.snoozeBlock(blockId, minutes, payload.task);
+      } else if (action === 'dismiss') {
+        window.logger.log(`[提醒操作] 弹窗已关闭: ${blockId}`);
+      } else if (action === 'acknowledge') {
+        window.logger.log(`[提醒操作] 已确认: ${payload.task || blockId}`);
+      }
+    }
+
+    /*
+     * 功能：稍后提醒，在指定分钟后重新触发该时间块的主提醒
+     * 参数：blockId - 时间块ID；minutes - 延后分钟数；task - 任务名（时间块已删除时使用，如单次闹钟）
+     * 返回值：Number 下次提醒的时间戳
+     * 创建日期：2026-10-18
+     */
+    snoozeBlock(blockId, minutes, task) {
+      const block = window.getTimeSettings().find(b => b.id === blockId);
+      const dueAt = Date.now() + minutes * 60000;
+      const snoozed = this.getSnoozedAlerts().filter(item => item.blockId !== blockId);
+      snoozed.push({
+        id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+        blockId,
+        task: (block && block.task) || task || '',
+        dueAt
+      });
+      window.utools.dbStorage.setItem(SNOOZED_ALERTS_KEY, snoozed);
+      window.logger.log(`[稍后提醒] ${(block && block.task) || task}: ${minutes}分钟后再次提醒 (${new Date(dueAt).toLocaleTimeString()})`);
+      return dueAt;
+    }
+
+    /*
+     * 功能：标记时间块本次任务已完成，并取消其稍后提醒
+     * 参数：blockId - 时间块ID
+     * 返回值：Boolean 是否找到并更新了时间块
+     * 创建日期：2026-10-18
+     */
+    completeBlock(blockId) {
+      const snoozed = this.getSnoozedAlerts();
+      const remaining = snoozed.filter(item => item.blockId !== blockId);
+      if (remaining.length !== snoozed.length) {
+        window.utools.dbStorage.setItem(SNOOZED_ALERTS_KEY, remaining);
+      }
+      // 提前完成的任务不再提醒结束
+      this.cancelEndAlert(blockId);
+
+      const blocks = window.getTimeSettings();
+      const block = blocks.find(b => b.id === blockId);
+      if (!block) {
+        window.logger.log(`[完成任务] 时间块已不存在（可能为单次闹钟）: ${blockId}`);
+        return false;
+      }
+      block.lastCompletedAt = Date.now();
+      block.completedCount = (block.completedCount || 0) + 1;
+      window.saveTimeSettings(blocks);
+      window.logger.log(`[完成任务] ${block.task} 已完成，累计 ${block.completedCount} 次`);
+      if (typeof window.renderTimeline === 'function') {
+        try { window.renderTimeline(); } catch (_) {}
+      }
+      return true;
+    }
+
+    // 读取稍后提醒队列
+    getSnoozedAlerts() {
+      const list = window.utools.dbStorage.getItem(SNOOZED_ALERTS_KEY);
+      return Array.isArray(list) ? list : [];
+    }
 
-        const showWindow = () => {
-          if (!win || win.isDestroyed()) return;
-          try {
-            // 位置恢复或居中
-            const width = FLOATING_WINDOW_WIDTH;
-            const height = FLOATING_WINDOW_HEIGHT;
-            const screenWidth = (window.screen && window.screen.width) || 1920;
-            const screenHeight = (window.screen && window.screen.height) || 1080;
-
-            let nx = null;
-            let ny = null;
-
-            if (state && typeof state.x === 'number' && typeof state.y === 'number') {
-              nx = state.x;
-              ny = state.y;
-            }
+    /*
+     * 功能：检查并触发已到期的稍后提醒
+     * 参数：currentTime - 当前时间戳
+     * 返回值：无
+     * 创建日期：2026-10-18
+     */
+    checkSnoozedAlerts(currentTime) {
+      const snoozed = this.getSnoozedAlerts();
+      if (snoozed.length === 0) return;
 
-            // 如果无历史位置或历史位置已超出当前屏幕范围，自动居中
-            if (
-              typeof nx !== 'number' || typeof ny !== 'number' ||
-              nx < -width || nx > screenWidth - 20 ||
-              ny < -height || ny > screenHeight - 20
-            ) {
-              nx = Math.floor((screenWidth - width) / 2);
-              ny = Math.floor((screenHeight - height) / 2);
-            }
+      const due = snoozed.filter(item => item.dueAt <= currentTime);
+      if (due.length === 0) return;
 
-            try { win.setPosition(nx, ny); } catch (_) {}
+      window.utools.dbStorage.setItem(SNOOZED_ALERTS_KEY, snoozed.filter(item => item.dueAt > currentTime));
+      due.forEach(item => {
+        const block = this.timeBlocks.find(b => b.id === item.blockId) || { id: item.blockId, task: item.task };
+        window.logger.log(`[稍后提醒] 触发: ${block.task}`);
+        this.showAlert(block, { snoozed: true });
+      });
+    }
 
-            // 确保缩放比例正常
-            try { win.webContents && win.webContents.setZoomFactor(1.0); } catch (_) {}
+    // 读取结束提醒队列
+    getEndAlerts() {
+      const list = window.utools.dbStorage.getItem(END_ALERTS_KEY);
+      return Array.isArray(list) ? list : [];
+    }
 
-            // 显示窗口
-            setTimeout(() => {
-              if (!win || win.isDestroyed()) return;
-              if (win.showInactive) {
-                win.showInactive();
-              } else {
-                win.show();
-              }
-              try {
-                win.setAlwaysOnTop(true, 'screen-saver');
-              } catch (_) {
-                try { win.setAlwaysOnTop(true); } catch (_) {}
-              }
-              try { window.logger.log(`[悬浮窗] open: 新窗口已显示，透明度=${opacity}`); } catch (_) {}
-            }, 100);
-          } catch (e) {
-            try { window.logger.error('[悬浮窗] open: 显示新窗口失败', e); } catch (_) {}
-          }
-        };
+    /*
+     * 功能：主提醒触发后登记本次时间块的结束提醒
+     * 参数：block - 时间块；occurrenceTime - 本次开始时间戳；now - 当前时间戳
+     * 返回值：无
+     * 创建日期：2026-10-18
+     */
+    scheduleEndAlert(block, occurrenceTime, now) {
+      const duration = getBlockDurationMinutes(block);
+      if (!block.endAlert || !duration) return;
+      const endAt = occurrenceTime + duration * 60000;
+      if (endAt <= now) return;
 
-        if (win.once) {
-          win.once('ready-to-show', showWindow);
-          setTimeout(() => {
-            try {
-              if (win && !win.isDestroyed() && !win.isVisible()) {
-                try { window.logger.log('[悬浮窗] open: ready-to-show 超时，强制显示'); } catch (_) {}
-                showWindow();
-              }
-            } catch (_) {}
-          }, 500);
-        } else {
-          showWindow();
+      const endAlerts = this.getEndAlerts().filter(item => item.blockId !== block.id);
+      endAlerts.push({
+        id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+        blockId: block.id,
+        task: block.task,
+        endAt
+      });
+      window.utools.dbStorage.setItem(END_ALERTS_KEY, endAlerts);
+      window.logger.log(`[结束提醒] ${block.task}: 将于 ${new Date(endAt).toLocaleTimeString()} 提醒结束`);
+    }
+
+    // 取消时间块尚未触发的结束提醒（完成、编辑或删除时间块时调用）
+    cancelEndAlert(blockId) {
+      const endAlerts = this.getEndAlerts();
+      const remaining = endAlerts.filter(item => item.blockId !== blockId);
+      if (remaining.length !== endAlerts.length) {
+        window.utools.dbStorage.setItem(END_ALERTS_KEY, remaining);
+      }
+    }
+
+    /*
+     * 功能：检查并触发已到期的结束提醒，延迟超过 MISSED_ALERT_GRACE 的（如休眠期间结束）只记录日志
+     * 参数：currentTime - 当前时间戳
+     * 返回值：无
+     * 创建日期：2026-10-18
+     */
+    checkEndAlerts(currentTime) {
+      const endAlerts = this.getEndAlerts();
+      const due = endAlerts.filter(item => item.endAt <= currentTime);
+      if (due.length === 0) return;
+
+      window.utools.dbStorage.setItem(END_ALERTS_KEY, endAlerts.filter(item => item.endAt > currentTime));
+      due.forEach(item => {
+        if (currentTime - item.endAt > MISSED_ALERT_GRACE) {
+          window.logger.log(`[结束提醒] ${item.task} 已于 ${new Date(item.endAt).toLocaleString()} 结束，提醒已过期`);
+          return;
         }
+        const block = this.timeBlocks.find(b => b.id === item.blockId) || { id: item.blockId, task: item.task };
+        this.showEndAlert(block);
+      });
+    }
 
-        try { window.pushFloatingData(); } catch (_) {}
-        persistFloatingState({ visible: true });
-        window.__floatingVisible = true;
-        try {
-          const btn = document.getElementById('floating-toggle-btn');
-          if (btn) btn.textContent = '隐藏悬浮窗';
-        } catch (_) {}
+    // 读取待确认提醒列表
+    getEscalations() {
+      const list = window.utools.dbStorage.getItem(ESCALATIONS_KEY);
+      return Array.isArray(list) ? list : [];
+    }
 
-        // 建立与悬浮窗的通信
-        setTimeout(() => {
-          try {
-            if (win && !win.isDestroyed() && win.webContents) {
-              ipcRenderer.sendTo(win.webContents.id, 'widget-message', 'connect');
-            }
-          } catch (_) {}
-        }, 500);
+    /*
+     * 功能：主提醒弹出后登记待确认状态，未确认时按策略重复弹窗响铃
+     * 参数：block - 时间块；policy - getEscalationPolicy 的返回值
+     * 返回值：无
+     * 创建日期：2026-10-18
+     */
+    startEscalation(block, policy) {
+      const now = Date.now();
+      const escalations = this.getEscalations().filter(item => item.blockId !== block.id);
+      escalations.push({
+        blockId: block.id,
+        task: block.task,
+        sound: block.sound || null, // 单次闹钟触发后会被删除，重复提醒时沿用原铃声
+        interval: policy.interval,
+        maxTimes: policy.maxTimes,
+        count: 0,
+        nextAt: now + policy.interval * 60000,
+        startedAt: now
+      });
+      window.utools.dbStorage.setItem(ESCALATIONS_KEY, escalations);
+      window.logger.log(`[重复提醒] ${block.task}: 未确认时每 ${policy.interval} 分钟提醒一次，最多 ${policy.maxTimes} 次`);
+      this.armTimer();
+      this.refreshTimeline();
+    }
 
-        try { window.logger.log('[悬浮窗] open: 新窗口创建完成'); } catch (_) {}
-      } finally {
-        window.__floatingOpening = false;
-      }
-    });
+    /*
+     * 功能：结束时间块的待确认状态（用户确认、编辑或删除时间块时调用）
+     * 参数：blockId - 时间块ID
+     * 返回值：Boolean 是否存在待确认状态
+     * 创建日期：2026-10-18
+     */
+    cancelEscalation(blockId) {
+      const escalations = this.getEscalations();
+      const remaining = escalations.filter(item => item.blockId !== blockId);
+      if (remaining.length === escalations.length) return false;
+      window.utools.dbStorage.setItem(ESCALATIONS_KEY, remaining);
+      this.refreshTimeline();
+      return true;
+    }
 
-    // 绑定移动、关闭事件（简单版本）
-    try {
-      if (typeof win.on === 'function') {
-        win.on('message', (message) => {
-          try {
-            if (message && message.type === 'close-floating') {
-              window.closeFloatingWindow();
-            } else if (message && message.type === 'widget-action' && message.payload && message.payload.type === 'move') {
-              const { x, y } = message.payload;
-              try {
-                win.setBounds({
-                  x: Math.round(x),
-                  y: Math.round(y),
-                  width: FLOATING_WINDOW_WIDTH,
-                  height: FLOATING_WINDOW_HEIGHT
-                });
-              } catch (_) {}
-            }
-          } catch (_) {}
-        });
+    // 时间块是否在等待确认（时间轴显示"待确认"）
+    isAwaitingAcknowledgement(blockId) {
+      return this.getEscalations().some(item => item.blockId === blockId);
+    }
 
-        win.on('move', () => {
-          try {
-            const [x, y] = win.getPosition();
-            persistFloatingState({ x, y });
-          } catch (_) {}
-        });
+    /*
+     * 功能：重新弹出到期的未确认提醒，达到最多次数后停止重复但保留待确认状态
+     * 参数：currentTime - 当前时间戳
+     * 返回值：无
+     * 创建日期：2026-10-18
+     */
+    checkEscalations(currentTime) {
+      const escalations = this.getEscalations();
+      const due = escalations.filter(item => item.nextAt && item.nextAt <= currentTime);
+      if (due.length === 0) return;
 
-        win.on('closed', () => {
-          try { window.logger.log('[悬浮窗] onClosed: 触发'); } catch (_) {}
-          window.floatingWin = null;
-          window.__floatingVisible = false;
-          try { window.__floatingWindows = (window.__floatingWindows || []).filter(w => w !== win); } catch (_) {}
-        });
-      } else {
-        try { window.logger.log('[悬浮窗] open: win.on 不可用，将依赖全局 IPC'); } catch (_) {}
-      }
-    } catch (e) {
-      try { window.logger.error('[悬浮窗] open: 绑定窗口事件失败', e); } catch (_) {}
+      due.forEach(item => {
+        item.count += 1;
+        // 从当前时间起算下一次，休眠唤醒后不会连续补弹
+        item.nextAt = item.count < item.maxTimes ? currentTime + item.interval * 60000 : null;
+      });
+      // 已删除的时间块（如单次闹钟）没有时间轴卡片可确认，重复结束后直接清除
+      window.utools.dbStorage.setItem(ESCALATIONS_KEY, escalations.filter(item =>
+        item.nextAt || this.timeBlocks.some(b => b.id === item.blockId)));
+      due.forEach(item => {
+        const block = this.timeBlocks.find(b => b.id === item.blockId) || { id: item.blockId, task: item.task, sound: item.sound };
+        window.logger.log(`[重复提醒] ${item.task}: 第 ${item.count}/${item.maxTimes} 次`);
+        this.showAlert(block, { escalation: item });
+      });
     }
 
-    window.floatingWin = win;
-    try {
-      window.__floatingWindows.push(win);
-      if (window.logger && window.logger.log) window.logger.log(`[悬浮窗] open: 注册实例，当前数量 ${window.__floatingWindows.length}`);
-    } catch (_) {}
+    refreshTimeline() {
+      if (typeof window.renderTimeline === 'function') {
+        try { window.renderTimeline(); } catch (_) {}
+      }
+    }
 
-    return win;
-  } catch (e) {
-    window.__floatingOpening = false;
-    try { console.error('[Main] 创建悬浮窗失败', e); } catch (_) {}
-    return null;
+    showEndAlert(block) {
+      window.logger.log(`[结束提醒] 显示结束提醒: ${block.task}`);
+      // 时间段已结束，弹窗不带稍后提醒/完成操作；单独的响铃标识和不传 blockId 保证不会关掉仍未处理的开始提醒
+      window.sendNotification(block.task, '时间段结束！', {
+        channels: window.getBlockChannels(block),
+        sound: { ...(block.sound || {}), repeat: 1 },
+        ringKey: `block-end:${block.id}`,
+        category: window.getBlockCategory(block)
+      });
+    }
   }
+  
+  window.alertManager = new AlertManager();
+  
+  // 修改后的保存时间设置方法
+  window.globalConfig = {
+    avatarPath: '',
+    ...JSON.parse(window.localStorage.getItem('globalConfig') || '{}')
+  };
+  
+  window.saveGlobalAvatar = (path) => {
+    window.globalConfig.avatarPath = path;
+    window.localStorage.setItem('globalConfig', JSON.stringify(window.globalConfig));
+  };
+  
+window.getGlobalAvatar = () => {
+  const config = JSON.parse(window.utools.dbStorage.getItem('globalConfig') || '{}');
+  return config.avatar || path.join(window.utools.getPath('userData'), 'touxiang.png');
 };
 
 /*
- * 功能：关闭悬浮窗并停止更新
- * 参数：无
- * 返回值：Boolean 是否成功
- * 创建日期：2025-12-01
+ * 番茄钟
+ * 专注/短休息/长休息循环，每完成 longBreakEvery 个专注进入一次长休息。
+ * 状态保存在 dbStorage 'pomodoroState'，插件重启后继续计时；阶段结束时刻由 AlertManager 统一调度。
+ * 状态结构：{ status: 'idle' | 'running' | 'paused' | 'waiting', phase, endsAt, remainingMs, cycle, todayCount, todayDate }
+ *   waiting 表示上一阶段已结束、关闭了自动开始，等待用户开始下一阶段
+ * 创建日期：2026-10-18
  */
-window.closeFloatingWindow = () => {
-  try {
-    if (window.logger && window.logger.log) window.logger.log('[悬浮窗] close: 开始关闭');
-    stopFloatingUpdateTimer();
-    try { window.utools && window.utools.dbStorage && window.utools.dbStorage.setItem('__floating_close_signal', String(Date.now())); } catch (_) {}
-    try { window.broadcastCloseFloatingWindows(); } catch (_) {}
-    
-    // 尝试通过 ID 关闭可能存在的孤儿窗口
-    try {
-        const orphanId = localStorage.getItem('floating_window_id');
-        if (orphanId) {
-             const id = parseInt(orphanId);
-             if (!isNaN(id)) ipcRenderer.sendTo(id, 'force-close');
-             localStorage.removeItem('floating_window_id');
-        }
-    } catch (_) {}
+const POMODORO_STATE_KEY = 'pomodoroState';
+const POMODORO_DEFAULTS = { work: 25, shortBreak: 5, longBreak: 15, longBreakEvery: 4, autoStart: true };
+const POMODORO_PHASE_NAMES = { work: '专注', shortBreak: '短休息', longBreak: '长休息' };
 
-    const wins = Array.from(window.__floatingWindows || []).concat(window.floatingWin ? [window.floatingWin] : []);
-    if (window.logger && window.logger.log) window.logger.log(`[悬浮窗] close: 兜底关闭，实例数=${wins.length}`);
-    wins.forEach((w, idx) => {
-      if (!w) return;
-      // 定义忽略 "window no exist" 错误的辅助函数
-      const safeExec = (fn, name) => {
-          try {
-              fn();
-          } catch (e) {
-              const msg = String(e);
-              if (msg.includes('window no exist') || msg.includes('Object has been destroyed')) {
-                  // 窗口已销毁，忽略此类错误
-                  return;
-              }
-              try { window.logger.error(`[悬浮窗] ${name}失败 -> #${idx}`, e); } catch (_) {}
-          }
-      };
+class PomodoroManager {
+  constructor() {
+    this.name = '番茄钟';
+  }
 
-      safeExec(() => w.hide && w.hide(), 'hide');
-      safeExec(() => w.close && w.close(), 'close');
-      safeExec(() => w.destroy && w.destroy(), 'destroy');
-    });
-  } catch (_) {}
-  window.floatingWin = null;
-  try { window.__floatingWindows = []; } catch (_) {}
-  persistFloatingState({ visible: false });
-  window.__floatingVisible = false;
-  try { const btn = document.getElementById('floating-toggle-btn'); if (btn) btn.textContent = '显示悬浮窗'; } catch (_) {}
-  try { window.logger.log('[悬浮窗] close: 完成'); } catch (_) {}
-  return true;
-};
+  // 读取番茄钟参数（保存在 globalSettings.pomodoro）
+  getSettings() {
+    const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+    return { ...POMODORO_DEFAULTS, ...(settings.pomodoro || {}) };
+  }
 
-/*
- * 功能：切换悬浮窗显示/隐藏状态
- * 参数：无
- * 返回值：Boolean 当前是否可见
- * 创建日期：2025-12-01
- */
-window.toggleFloatingWindow = () => {
-  const windowExists = window.floatingWin && !window.floatingWin.isDestroyed();
-  let windowVisible = false;
+  /*
+   * 功能：保存番茄钟参数，时长限制在 1-180 分钟，长休息间隔 1-12 个
+   * 参数：partial - 需要修改的参数
+   * 返回值：Object 保存后的参数
+   */
+  saveSettings(partial) {
+    const clamp = (value, min, max, fallback) => {
+      const n = parseInt(value, 10);
+      return Number.isInteger(n) ? Math.min(max, Math.max(min, n)) : fallback;
+    };
+    const current = this.getSettings();
+    const next = {
+      work: clamp(partial.work, 1, 180, current.work),
+      shortBreak: clamp(partial.shortBreak, 1, 180, current.shortBreak),
+      longBreak: clamp(partial.longBreak, 1, 180, current.longBreak),
+      longBreakEvery: clamp(partial.longBreakEvery, 1, 12, current.longBreakEvery),
+      autoStart: partial.autoStart !== undefined ? !!partial.autoStart : current.autoStart
+    };
+    const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+    window.utools.dbStorage.setItem('globalSettings', { ...settings, pomodoro: next });
+    return next;
+  }
 
-  if (windowExists && typeof window.floatingWin.isVisible === 'function') {
-    try {
-      windowVisible = window.floatingWin.isVisible();
-    } catch (_) {
-      windowVisible = false;
-    }
+  getState() {
+    const state = window.utools.dbStorage.getItem(POMODORO_STATE_KEY) || {};
+    const today = toDateKey(Date.now());
+    return {
+      status: state.status || 'idle',
+      phase: POMODORO_PHASE_NAMES[state.phase] ? state.phase : 'work',
+      endsAt: state.endsAt || null,
+      remainingMs: state.remainingMs || null,
+      cycle: state.cycle || 0,
+      // 今日完成数跨天清零
+      todayCount: state.todayDate === today ? (state.todayCount || 0) : 0,
+      todayDate: today
+    };
   }
 
-  if (windowExists && windowVisible) {
-    try { window.logger.log(`[悬浮窗] toggle: 执行隐藏 visible=${window.__floatingVisible}, exists=${windowExists}, isVisible=${windowVisible}`); } catch (_) {}
-    window.closeFloatingWindow();
-    return false;
-  } else {
-    try { window.logger.log(`[悬浮窗] toggle: 执行显示 visible=${window.__floatingVisible}, exists=${windowExists}, isVisible=${windowVisible}`); } catch (_) {}
-    window.openFloatingWindow();
-    return true;
+  // 保存状态并同步调度器、悬浮窗
+  setState(state) {
+    window.utools.dbStorage.setItem(POMODORO_STATE_KEY, state);
+    if (window.alertManager) window.alertManager.reschedule();
+    try { window.pushFloatingData(); } catch (_) {}
   }
-};
 
-/*
- * 功能：推送数据到悬浮窗页面
- * 参数：无
- * 返回值：无
- * 创建日期：2025-12-01
- */
-window.pushFloatingData = () => {
-  try {
-    // 无论窗口是否打开，都更新 localStorage 数据，以便悬浮窗独立读取
-    const snapshot = getTimelineSnapshot();
-    const alarms = snapshot.blocks.map(b => ({
-      id: b.id,
-      name: b.task,
-      timeText: b.timeStr,
-      remainText: b.remainText || '',
-      enabled: b.enabled,
-      statusText: b.statusText,
-      isCurrent: !!b.isCurrent
-    }));
-    const payload = {
-      alarms,
-      currentTaskName: snapshot.currentTaskBlock ? snapshot.currentTaskBlock.task : '',
-      currentTaskRemainingText: snapshot.currentTaskRemainingText || ''
-    };
-    
-    try {
-        localStorage.setItem('floating_task_data', JSON.stringify(payload));
-    } catch (_) {}
+  getPhaseMs(phase) {
+    return this.getSettings()[phase] * 60000;
+  }
+
+  /*
+   * 功能：开始一个阶段（默认继续当前阶段，空闲时从专注开始）
+   * 参数：phase - 'work' | 'shortBreak' | 'longBreak'，可选
+   * 返回值：无
+   */
+  start(phase) {
+    const state = this.getState();
+    const nextPhase = phase || (state.status === 'idle' ? 'work' : state.phase);
+    state.status = 'running';
+    state.phase = nextPhase;
+    state.endsAt = Date.now() + this.getPhaseMs(nextPhase);
+    state.remainingMs = null;
+    window.logger.log(`[番茄钟] 开始${POMODORO_PHASE_NAMES[nextPhase]}，${this.getSettings()[nextPhase]}分钟`);
+    this.setState(state);
+  }
 
-    if (!window.floatingWin || window.floatingWin.isDestroyed()) return;
+  pause() {
+    const state = this.getState();
+    if (state.status !== 'running') return;
+    state.status = 'paused';
+    state.remainingMs = Math.max(0, state.endsAt - Date.now());
+    state.endsAt = null;
+    window.logger.log(`[番茄钟] 暂停，剩余 ${Math.round(state.remainingMs / 1000)} 秒`);
+    this.setState(state);
+  }
 
-    try { if (window.logger && window.logger.log) window.logger.log(`[悬浮窗] push: count=${alarms.length}, current=${payload.currentTaskName || '无'}`); } catch (_) {}
-    
-    // IPC 发送
-    if (window.floatingWin && window.floatingWin.webContents) {
-         // console.log(`[Main] 推送数据到悬浮窗 (ID: ${window.floatingWin.webContents.id})`);
-         ipcRenderer.sendTo(window.floatingWin.webContents.id, 'widget-message', payload);
+  resume() {
+    const state = this.getState();
+    if (state.status !== 'paused') return;
+    state.status = 'running';
+    state.endsAt = Date.now() + (state.remainingMs || 0);
+    state.remainingMs = null;
+    window.logger.log('[番茄钟] 继续');
+    this.setState(state);
+  }
+
+  // 跳过当前阶段（跳过的专注不计入完成数）
+  skip() {
+    const state = this.getState();
+    if (state.status === 'idle') return;
+    window.logger.log(`[番茄钟] 跳过${POMODORO_PHASE_NAMES[state.phase]}`);
+    this.enterNextPhase(state, this.getNextPhase(state.phase, state.cycle), false);
+  }
+
+  stop() {
+    window.logger.log('[番茄钟] 结束番茄钟');
+    const state = this.getState();
+    this.setState({ ...state, status: 'idle', phase: 'work', endsAt: null, remainingMs: null, cycle: 0 });
+  }
+
+  // 专注结束后按已完成个数决定短/长休息，休息结束后回到专注
+  getNextPhase(phase, cycle) {
+    if (phase !== 'work') return 'work';
+    return cycle > 0 && cycle % this.getSettings().longBreakEvery === 0 ? 'longBreak' : 'shortBreak';
+  }
+
+  /*
+   * 功能：进入下一阶段，开启自动开始时立即计时，否则等待用户开始
+   * 参数：state - 当前状态；phase - 下一阶段；notify - 是否响铃弹窗
+   * 返回值：无
+   */
+  enterNextPhase(state, phase, notify) {
+    const settings = this.getSettings();
+    const nextName = POMODORO_PHASE_NAMES[phase];
+    if (notify) {
+      const doneText = state.phase === 'work'
+        ? `完成第 ${state.todayCount} 个番茄`
+        : `${POMODORO_PHASE_NAMES[state.phase]}结束`;
+      window.sendNotification('🍅 番茄钟', settings.autoStart
+        ? `${doneText}，开始${nextName}（${settings[phase]}分钟）`
+        : `${doneText}，请开始${nextName}`);
     }
-  } catch (_) {}
-};
+
+    if (settings.autoStart) {
+      state.status = 'running';
+      state.endsAt = Date.now() + settings[phase] * 60000;
+    } else {
+      state.status = 'waiting';
+      state.endsAt = null;
+    }
+    state.phase = phase;
+    state.remainingMs = null;
+    this.setState(state);
+  }
+
+  // AlertManager 到期来源接口
+  getNextDueTime() {
+    const state = this.getState();
+    return state.status === 'running' ? state.endsAt : null;
+  }
+
+  processDue(now) {
+    const state = this.getState();
+    if (state.status !== 'running' || !state.endsAt || state.endsAt > now) return;
+
+    if (state.phase === 'work') {
+      state.cycle += 1;
+      state.todayCount += 1;
+    }
+    window.logger.log(`[番茄钟] ${POMODORO_PHASE_NAMES[state.phase]}结束，本轮已完成 ${state.cycle} 个专注`);
+    this.enterNextPhase(state, this.getNextPhase(state.phase, state.cycle), true);
+  }
+
+  /*
+   * 功能：获取界面展示用的番茄钟状态
+   * 返回值：Object { status, phase, phaseName, remainingMs, cycleText, todayCount }
+   */
+  getStatus() {
+    const state = this.getState();
+    const settings = this.getSettings();
+    let remainingMs = settings[state.phase] * 60000;
+    if (state.status === 'running') remainingMs = Math.max(0, state.endsAt - Date.now());
+    if (state.status === 'paused') remainingMs = state.remainingMs || 0;
+    // 当前轮次：专注中显示正在进行的第几个，休息中显示刚完成的个数
+    const position = state.phase === 'work' ? state.cycle % settings.longBreakEvery + 1 : (state.cycle - 1) % settings.longBreakEvery + 1;
+    return {
+      status: state.status,
+      phase: state.phase,
+      phaseName: POMODORO_PHASE_NAMES[state.phase],
+      endsAt: state.endsAt,
+      remainingMs,
+      cycleText: `${Math.max(1, position)}/${settings.longBreakEvery}`,
+      todayCount: state.todayCount
+    };
+  }
+}
+
+window.pomodoroManager = new PomodoroManager();
+window.alertManager.registerDueSource(window.pomodoroManager);
 
 /*
- * 功能：广播关闭消息到所有悬浮窗实例
- * 参数：无
- * 返回值：无
- * 创建日期：2025-12-01
+ * 倒计时
+ * 相对时间的单次计时（如"25分钟后"），可同时运行多个，支持暂停/继续/取消。
+ * 保存在 dbStorage 'countdownTimers'，插件重启后继续；到期时刻由 AlertManager 统一调度。
+ * 结构：[{ id, name, durationMs, status: 'running' | 'paused', endsAt, remainingMs, createdAt }]
+ * 创建日期：2026-10-18
  */
-window.broadcastCloseFloatingWindows = () => {
-  try {
-    const wins = (window.__floatingWindows || []).slice();
-    if (window.logger && window.logger.log) window.logger.log(`[悬浮窗] 广播关闭，实例数=${wins.length}`);
-    wins.forEach((w, idx) => {
-      try {
-        if (window.logger && window.logger.log) window.logger.log(`[悬浮窗] 广播关闭 -> 实例#${idx}`);
-        w?.webContents?.executeJavaScript("window.utools.sendToParent({type:'close-floating'})");
-      } catch (err) {
-        if (window.logger && window.logger.error) window.logger.error(`[悬浮窗] 广播关闭失败 -> 实例#${idx}`, err);
-      }
-    });
-  } catch (_) {}
-};
+const COUNTDOWN_TIMERS_KEY = 'countdownTimers';
+const MAX_COUNTDOWN_MS = 7 * 24 * 3600000; // 倒计时上限 7 天
 
 /*
- * 功能：计算当前活跃闹钟数据用于悬浮窗展示
- * 参数：无
- * 返回值：Array<{id,name,timeText,remainText,enabled}>
- * 创建日期：2025-12-01
+ * 功能：解析时长文本，支持 "25"（分钟）、"1h30m"、"90s"、"1.5h"、"1小时30分钟"、"半小时"、"in 25 minutes" 等
+ * 参数：text - 时长文本
+ * 返回值：Number|null 毫秒数，无法识别或超过上限时返回 null
+ * 创建日期：2026-10-18
  */
+window.parseDurationText = (text) => {
+  const ms = timeParser.parseDuration(text);
+  return ms && ms <= MAX_COUNTDOWN_MS ? ms : null;
+};
+
 /*
- * 功能：生成与时间轴视图一致的数据快照
- * 参数：无
- * 返回值：{ nowMinutes, currentTaskBlock, nextTaskBlock, blocks: Array }
- * 创建日期：2025-12-01
+ * 功能：格式化剩余毫秒数为 "MM:SS" 或 "H:MM:SS"
+ * 参数：ms - 毫秒
+ * 返回值：String
+ * 创建日期：2026-10-18
  */
-function formatFloatingRemainingText(diffMinutes) {
-  const safeMinutes = Math.max(0, diffMinutes);
-  const hours = Math.floor(safeMinutes / 60);
-  const minutes = safeMinutes % 60;
-  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
-}
-
-function getNextOccurrenceDate(block, now) {
-  if (!block) return null;
-
-  const enabled = (block.enabled === true) || (typeof block.enabled === 'string' && block.enabled.toLowerCase() === 'true');
-  if (!enabled) return null;
-
-  const blockDate = new Date(block.startTime);
-  const mode = block.reminderMode || 'daily';
-
-  if (mode === 'once') {
-    return blockDate.getTime() > now.getTime() ? blockDate : null;
-  }
-
-  const baseHour = blockDate.getHours();
-  const baseMinute = blockDate.getMinutes();
-
-  if (mode === 'daily') {
-    const candidate = new Date(now);
-    candidate.setSeconds(0, 0);
-    candidate.setHours(baseHour, baseMinute, 0, 0);
-    if (candidate.getTime() <= now.getTime()) {
-      candidate.setDate(candidate.getDate() + 1);
-    }
-    return candidate;
-  }
-
-  if (mode === 'weekly') {
-    const weekdays = Array.isArray(block.weekdays) ? block.weekdays : [];
-    if (weekdays.length === 0) return null;
-
-    for (let offset = 0; offset <= 7; offset++) {
-      const candidate = new Date(now);
-      candidate.setSeconds(0, 0);
-      candidate.setDate(now.getDate() + offset);
-      candidate.setHours(baseHour, baseMinute, 0, 0);
-      if (!weekdays.includes(candidate.getDay())) continue;
-      if (candidate.getTime() > now.getTime()) return candidate;
-    }
-  }
-
-  return null;
-}
-
-function getTimelineSnapshot() {
-  const settings = window.utools.dbStorage.getItem('globalSettings') || { globalAlertEnabled: true };
-  const blocks = window.getTimeSettings();
-  const now = new Date();
-  const nowMinutes = now.getHours() * 60 + now.getMinutes();
-  const today = now.getDay();
+window.formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const mmss = `${String(Math.floor(totalSeconds % 3600 / 60)).padStart(2, '0')}:${String(totalSeconds % 60).padStart(2, '0')}`;
+  return hours > 0 ? `${hours}:${mmss}` : mmss;
+};
 
-  const enabledTodayBlocks = blocks.filter(b => {
-    if (!b) return false;
-    const enabled = (b.enabled === true) || (typeof b.enabled === 'string' && b.enabled.toLowerCase() === 'true');
-    if (!enabled) return false;
-    const mode = b.reminderMode || 'daily';
-    if (mode === 'weekly') {
-      const weekdays = b.weekdays || [];
-      return weekdays.includes(today);
-    }
-    if (mode === 'once') {
-      const taskDate = new Date(b.startTime);
-      const nowDate = new Date();
-      return taskDate.getDate() === nowDate.getDate() &&
-             taskDate.getMonth() === nowDate.getMonth() &&
-             taskDate.getFullYear() === nowDate.getFullYear();
-    }
-    return true;
-  });
+class CountdownManager {
+  constructor() {
+    this.name = '倒计时';
+  }
 
-  const pastBlocks = enabledTodayBlocks.filter(b => {
-    const t = new Date(b.startTime);
-    const m = t.getHours() * 60 + t.getMinutes();
-    return m <= nowMinutes;
-  });
+  getTimers() {
+    const list = window.utools.dbStorage.getItem(COUNTDOWN_TIMERS_KEY);
+    return Array.isArray(list) ? list : [];
+  }
 
-  let currentTaskBlock = null;
-  if (pastBlocks.length > 0) {
-    currentTaskBlock = pastBlocks.reduce((latest, current) => {
-      const lm = new Date(latest.startTime);
-      const cm = new Date(current.startTime);
-      const lmin = lm.getHours() * 60 + lm.getMinutes();
-      const cmin = cm.getHours() * 60 + cm.getMinutes();
-      return cmin > lmin ? current : latest;
-    });
+  // 保存并同步调度器、悬浮窗
+  saveTimers(timers) {
+    window.utools.dbStorage.setItem(COUNTDOWN_TIMERS_KEY, timers);
+    if (window.alertManager) window.alertManager.reschedule();
+    try { window.pushFloatingData(); } catch (_) {}
   }
 
-  const futureBlocks = enabledTodayBlocks.filter(b => {
-    const tm = new Date(b.startTime);
-    const mins = tm.getHours() * 60 + tm.getMinutes();
-    return mins > nowMinutes;
-  });
-  let nextTaskBlock = null;
-  if (futureBlocks.length > 0) {
-    nextTaskBlock = futureBlocks.reduce((earliest, current) => {
-      const em = new Date(earliest.startTime);
-      const cm = new Date(current.startTime);
-      const emin = em.getHours() * 60 + em.getMinutes();
-      const cmin = cm.getHours() * 60 + cm.getMinutes();
-      return cmin < emin ? current : earliest;
-    });
+  /*
+   * 功能：新建并启动倒计时
+   * 参数：name - 提醒事项；durationMs - 时长（毫秒）
+   * 返回值：Object 新建的倒计时
+   */
+  add(name, durationMs) {
+    const now = Date.now();
+    const timer = {
+      id: now.toString(36) + Math.random().toString(36).substr(2),
+      name: name || '倒计时',
+      durationMs,
+      status: 'running',
+      endsAt: now + durationMs,
+      remainingMs: null,
+      createdAt: now
+    };
+    this.saveTimers(this.getTimers().concat(timer));
+    window.logger.log(`[倒计时] 新建: ${timer.name}，${window.formatCountdown(durationMs)} 后提醒`);
+    return timer;
   }
 
-  const weekNames = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
-  const normalized = blocks.map(block => {
-    const date = new Date(block.startTime);
-    const timeStr = `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
-    const reminderCount = block.reminderCount !== undefined ? block.reminderCount : -1;
-    const remainingCount = block.remainingCount !== undefined ? block.remainingCount : reminderCount;
-    const reminderText = reminderCount === -1 ? '永久' : `剩余${remainingCount}次`;
-    const mode = block.reminderMode || 'daily';
-    let modeText = '每日';
-    if (mode === 'weekly') {
-      const weekdays = block.weekdays || [];
-      const selected = weekdays.map(d => weekNames[d]).join('、');
-      modeText = `每周(${selected})`;
-    } else if (mode === 'once') {
-      modeText = '单次';
-    }
-    const isCurrent = currentTaskBlock && currentTaskBlock.id === block.id;
-    const statusText = `${(block.enabled ? '已启用' : '已禁用')} | 预提醒：${(block.preAlert ? '已启用' : '已禁用')} | 提醒：${reminderText} | 模式：${modeText}`;
-    let remainText = '';
-    const startMinutes = date.getHours() * 60 + date.getMinutes();
-    const diff = startMinutes - nowMinutes;
-    if (diff >= 0) remainText = `还有 ${diff} 分钟`;
+  pause(id) {
+    const timers = this.getTimers();
+    const timer = timers.find(t => t.id === id);
+    if (!timer || timer.status !== 'running') return;
+    timer.status = 'paused';
+    timer.remainingMs = Math.max(0, timer.endsAt - Date.now());
+    timer.endsAt = null;
+    window.logger.log(`[倒计时] 暂停: ${timer.name}`);
+    this.saveTimers(timers);
+  }
 
-    return {
-      id: block.id,
-      task: block.task || block.id,
-      timeStr,
-      enabled: settings.globalAlertEnabled !== false && block.enabled !== false,
-      preAlert: !!block.preAlert,
-      reminderText,
-      modeText,
-      statusText,
-      isCurrent,
-      remainText,
-      sortKey: startMinutes
-    };
-  }).sort((a, b) => a.sortKey - b.sortKey);
+  resume(id) {
+    const timers = this.getTimers();
+    const timer = timers.find(t => t.id === id);
+    if (!timer || timer.status !== 'paused') return;
+    timer.status = 'running';
+    timer.endsAt = Date.now() + (timer.remainingMs || 0);
+    timer.remainingMs = null;
+    window.logger.log(`[倒计时] 继续: ${timer.name}`);
+    this.saveTimers(timers);
+  }
 
-  let currentTaskRemainingText = '';
-  if (currentTaskBlock) {
-    const upcomingDates = blocks
-      .map(block => getNextOccurrenceDate(block, now))
-      .filter(date => date && date.getTime() > now.getTime())
-      .sort((a, b) => a.getTime() - b.getTime());
-
-    const nextOccurrence = upcomingDates.length > 0 ? upcomingDates[0] : null;
-    if (nextOccurrence) {
-      const diffMinutes = Math.max(0, Math.ceil((nextOccurrence.getTime() - now.getTime()) / 60000));
-      currentTaskRemainingText = formatFloatingRemainingText(diffMinutes);
-    } else {
-      currentTaskRemainingText = '进行中';
-    }
-  }
-
-  // try { if (window.logger && window.logger.log) window.logger.log(`[悬浮窗] snapshot: now=${now.getHours()}:${now.getMinutes()}, enabledToday=${enabledTodayBlocks.length}, past=${pastBlocks.length}, future=${futureBlocks.length}, current=${currentTaskBlock ? currentTaskBlock.task : '无'}`); } catch (_) {}
-  return { nowMinutes, currentTaskBlock, nextTaskBlock, currentTaskRemainingText, blocks: normalized };
-}
+  cancel(id) {
+    const timers = this.getTimers();
+    const timer = timers.find(t => t.id === id);
+    if (!timer) return;
+    window.logger.log(`[倒计时] 取消: ${timer.name}`);
+    this.saveTimers(timers.filter(t => t.id !== id));
+  }
+
+  // 剩余毫秒数（运行中按当前时间计算）
+  getRemainingMs(timer) {
+    return timer.status === 'running' ? Math.max(0, timer.endsAt - Date.now()) : (timer.remainingMs || 0);
+  }
+
+  // AlertManager 到期来源接口
+  getNextDueTime() {
+    const running = this.getTimers().filter(t => t.status === 'running');
+    return running.length > 0 ? Math.min(...running.map(t => t.endsAt)) : null;
+  }
+
+  processDue(now) {
+    const timers = this.getTimers();
+    const due = timers.filter(t => t.status === 'running' && t.endsAt <= now);
+    if (due.length === 0) return;
+
+    this.saveTimers(timers.filter(t => !due.includes(t)));
+    due.forEach(timer => {
+      // 插件关闭或休眠期间到期的倒计时注明到期时间
+      const late = now - timer.endsAt > MISSED_ALERT_GRACE;
+      window.logger.log(`[倒计时] 到期: ${timer.name}${late ? '（已错过）' : ''}`);
+      window.sendNotification(timer.name, late
+        ? `倒计时已于 ${window.formatTimeOfDay(timer.endsAt)} 结束`
+        : '倒计时结束！');
+    });
+  }
+}
+
+window.countdownManager = new CountdownManager();
+window.alertManager.registerDueSource(window.countdownManager);
 
 /*
- * 功能：启动悬浮窗内容更新定时器（已废弃，跟随主循环）
+ * 免打扰
+ * 三种来源：手动开启（globalSettings.doNotDisturb，直到手动关闭）、限时开启（dndUntil，如"免打扰1小时"）、
+ * 每天的安静时段（quietHours，如 12:00-13:30、22:00-08:00，结束早于开始表示跨天）。
+ * 免打扰期间按 dndMode 处理提醒：suppress 不提醒；silence 照常提醒但不响铃；defer 暂存，免打扰结束后补发。
+ * 暂存的提醒保存在 dbStorage 'deferredAlerts'，补发时刻由 AlertManager 统一调度。
+ * 创建日期：2026-10-18
  */
-function startFloatingUpdateTimer() {
-  // if (window.floatingTimer) return;
-  // window.floatingTimer = setInterval(() => {
-  //   window.pushFloatingData();
-  // }, 500);
+const DND_DEFERRED_KEY = 'deferredAlerts';
+const DND_MODES = { suppress: '不提醒', silence: '静音提醒', defer: '结束后补发' };
+const MAX_QUIET_HOURS = 5;
+
+// "HH:MM" 转为当天分钟数，无效时返回 null
+function parseClockMinutes(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  return hours <= 23 && minutes <= 59 ? hours * 60 + minutes : null;
+}
+
+function formatClockMinutes(total) {
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
 }
 
 /*
- * 功能：将当前任务快照写入桌面微件数据文件
- * 参数：无
- * 返回值：无
- * 创建日期：2025-12-01
+ * 功能：解析安静时段文本，如 "12:00-13:30, 22:00-08:00"
+ * 参数：text - 输入文本，留空表示不设置安静时段
+ * 返回值：Array<{ start, end }>|null 含无效项时返回 null
+ * 创建日期：2026-10-18
  */
-function writeWidgetData() {
-  try {
-    const os = require('os')
-    const path = require('path')
-    const fs = require('fs')
-    const dir = path.join(os.homedir(), 'DeskClock')
-    try { fs.mkdirSync(dir, { recursive: true }) } catch (_) {}
-    const snap = getTimelineSnapshot()
-    const current = snap.currentTaskBlock ? {
-      name: snap.currentTaskBlock.task,
-      hhmm: new Date(snap.currentTaskBlock.startTime).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' }),
-      elapsed: Math.max(0, (snap.nowMinutes - (new Date(snap.currentTaskBlock.startTime).getHours()*60 + new Date(snap.currentTaskBlock.startTime).getMinutes())))
-    } : null
-    const next = snap.nextTaskBlock ? {
-      name: snap.nextTaskBlock.task,
-      hhmm: new Date(snap.nextTaskBlock.startTime).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' }),
-      remaining: Math.max(0, ((new Date(snap.nextTaskBlock.startTime).getHours()*60 + new Date(snap.nextTaskBlock.startTime).getMinutes()) - snap.nowMinutes))
-    } : null
-    const payload = { current, next, updatedAt: Date.now() }
-    fs.writeFileSync(path.join(dir, 'current_task.json'), JSON.stringify(payload))
-  } catch (_) {}
+window.parseQuietHours = (text) => {
+  const parts = String(text || '').split(/[,，、;；\s]+/).filter(Boolean);
+  const windows = [];
+  for (const part of parts) {
+    const [startText, endText] = part.split(/[-~～—]/);
+    const start = parseClockMinutes(startText);
+    const end = parseClockMinutes(endText);
+    if (start === null || end === null || start === end) return null;
+    windows.push({ start: formatClockMinutes(start), end: formatClockMinutes(end) });
+  }
+  return windows.length > MAX_QUIET_HOURS ? null : windows;
+};
+
+// 安静时段的文本形式，如 "12:00-13:30, 22:00-08:00"
+window.formatQuietHours = (windows) => (windows || []).map(w => `${w.start}-${w.end}`).join(', ');
+
+class DndManager {
+  constructor() {
+    this.name = '免打扰';
+  }
+
+  // 读取免打扰参数（保存在 globalSettings）
+  getSettings() {
+    const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+    const quietHours = Array.isArray(settings.quietHours)
+      ? settings.quietHours.filter(w => parseClockMinutes(w.start) !== null && parseClockMinutes(w.end) !== null)
+      : [];
+    return {
+      enabled: !!settings.doNotDisturb,
+      until: Number(settings.dndUntil) || 0,
+      quietHours,
+      mode: DND_MODES[settings.dndMode] ? settings.dndMode : 'suppress'
+    };
+  }
+
+  saveSettings(partial) {
+    const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+    window.utools.dbStorage.setItem('globalSettings', { ...settings, ...partial });
+    if (window.alertManager) window.alertManager.reschedule();
+    try { window.pushFloatingData(); } catch (_) {}
+  }
+
+  /*
+   * 功能：计算当前所处安静时段的结束时刻
+   * 参数：now - 时间戳；quietHours - 安静时段列表
+   * 返回值：Number|null 不在安静时段内时返回 null
+   */
+  getQuietHourEnd(now, quietHours) {
+    const date = new Date(now);
+    const current = date.getHours() * 60 + date.getMinutes();
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const at = (minutes, dayOffset) => new Date(
+      dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate() + dayOffset, Math.floor(minutes / 60), minutes % 60
+    ).getTime();
+    let endsAt = null;
+    quietHours.forEach(w => {
+      const start = parseClockMinutes(w.start);
+      const end = parseClockMinutes(w.end);
+      let windowEnd = null;
+      if (start < end) {
+        if (current >= start && current < end) windowEnd = at(end, 0);
+      } else if (current >= start) {
+        windowEnd = at(end, 1);
+      } else if (current < end) {
+        windowEnd = at(end, 0);
+      }
+      if (windowEnd !== null && (endsAt === null || windowEnd > endsAt)) endsAt = windowEnd;
+    });
+    return endsAt;
+  }
+
+  /*
+   * 功能：获取当前免打扰状态
+   * 参数：now - 时间戳，默认当前时间
+   * 返回值：Object { active, reason: 'manual' | 'timed' | 'quiet' | null, endsAt, mode }
+   *   手动开启时 endsAt 为 null；限时与安静时段重叠时取较晚的结束时刻
+   */
+  getState(now = Date.now()) {
+    const settings = this.getSettings();
+    const state = { active: false, reason: null, endsAt: null, mode: settings.mode };
+    if (settings.enabled) return { ...state, active: true, reason: 'manual' };
+    const quietEnd = this.getQuietHourEnd(now, settings.quietHours);
+    if (settings.until > now && settings.until >= (quietEnd || 0)) {
+      return { ...state, active: true, reason: 'timed', endsAt: settings.until };
+    }
+    if (quietEnd !== null) return { ...state, active: true, reason: 'quiet', endsAt: quietEnd };
+    return state;
+  }
+
+  // 免打扰状态的中文描述，如"免打扰中，13:30 结束"
+  describe(state = this.getState()) {
+    if (!state.active) return '未开启';
+    if (state.reason === 'manual') return '免打扰中，需手动关闭';
+    const end = new Date(state.endsAt);
+    const sameDay = end.toDateString() === new Date().toDateString();
+    return `免打扰中，${sameDay ? '' : '明天 '}${window.formatTimeOfDay(state.endsAt)} 结束`;
+  }
+
+  /*
+   * 功能：开启或关闭手动免打扰；关闭时同时结束限时免打扰，并补发暂存的提醒
+   * 参数：enabled - Boolean
+   * 返回值：无
+   */
+  setEnabled(enabled) {
+    this.saveSettings(enabled ? { doNotDisturb: true } : { doNotDisturb: false, dndUntil: 0 });
+    window.logger.log(`[免打扰] ${enabled ? '已开启' : '已关闭'}`);
+    if (!enabled) this.processDue(Date.now());
+  }
+
+  /*
+   * 功能：限时免打扰，如"免打扰1小时"
+   * 参数：minutes - 分钟数
+   * 返回值：Number 结束时刻
+   */
+  enableFor(minutes) {
+    const until = Date.now() + minutes * 60000;
+    this.saveSettings({ dndUntil: until });
+    window.logger.log(`[免打扰] 限时开启 ${minutes} 分钟，至 ${new Date(until).toLocaleString()}`);
+    return until;
+  }
+
+  getDeferred() {
+    const list = window.utools.dbStorage.getItem(DND_DEFERRED_KEY);
+    return Array.isArray(list) ? list : [];
+  }
+
+  /*
+   * 功能：暂存免打扰期间的提醒，同一时间块只保留最新一条
+   * 参数：title、body、options - 同 sendNotification
+   * 返回值：无
+   */
+  defer(title, body, options = {}) {
+    const list = this.getDeferred().filter(item => !options.blockId || item.options.blockId !== options.blockId);
+    list.push({ title, body, options, deferredAt: Date.now() });
+    window.utools.dbStorage.setItem(DND_DEFERRED_KEY, list);
+    window.logger.log(`[免打扰] 提醒已暂存，免打扰结束后补发: ${title}（共 ${list.length} 条）`);
+    if (window.alertManager) window.alertManager.reschedule();
+  }
+
+  // 有暂存提醒时在免打扰结束时刻唤醒调度器；手动免打扰没有结束时刻，关闭时直接补发
+  getNextDueTime(now) {
+    if (this.getDeferred().length === 0) return null;
+    const state = this.getState(now);
+    return state.active ? state.endsAt : now;
+  }
+
+  processDue(now) {
+    const deferred = this.getDeferred();
+    if (deferred.length === 0 || this.getState(now).active) return;
+    window.utools.dbStorage.setItem(DND_DEFERRED_KEY, []);
+    window.logger.log(`[免打扰] 已结束，补发 ${deferred.length} 条提醒`);
+    deferred.forEach(item => {
+      let body = item.body;
+      // 预提醒：对应的提醒已经到点则不再补发，否则按当前时间重新计算剩余分钟
+      const occurrence = item.options && item.options.preAlertOccurrence;
+      if (occurrence) {
+        if (occurrence <= now) {
+          window.logger.log(`[免打扰] 预提醒已过期，不再补发: ${item.title}`);
+          return;
+        }
+        body = `还剩${Math.max(1, Math.round((occurrence - now) / 60000))}分钟`;
+      }
+      const result = window.sendNotification(item.title, `${body}（${window.formatTimeOfDay(item.deferredAt)} 免打扰期间延后）`, item.options);
+      // 主提醒补发后才进入重复提醒（单次闹钟此时可能已删除，沿用暂存时的任务名和铃声）
+      const policy = item.options && item.options.escalationPolicy;
+      if (policy && result.channels.length > 0 && window.alertManager) {
+        const block = window.getTimeSettings().find(b => b.id === item.options.blockId)
+          || { id: item.options.blockId, task: item.options.task, sound: item.options.sound };
+        window.alertManager.startEscalation(block, policy);
+      }
+    });
+  }
+
+  // 悬浮窗上的免打扰标记
+  getIndicator() {
+    const state = this.getState();
+    return state.active ? { text: this.describe(state), mode: DND_MODES[state.mode] } : null;
+  }
 }
 
-// 已移除：桌面微件数据同步定时器
+window.dndManager = new DndManager();
+window.alertManager.registerDueSource(window.dndManager);
+
+window.isDoNotDisturb = () => window.dndManager.getState().active;
 
 /*
- * 功能：停止悬浮窗内容更新定时器（已废弃）
+ * 功能：设置页的免打扰操作
+ * 参数：action - 'on' | 'off' | 'hour'
+ * 返回值：无
+ * 创建日期：2026-10-18
  */
-function stopFloatingUpdateTimer() {
-  // if (window.floatingTimer) {
-  //   clearInterval(window.floatingTimer);
-  //   window.floatingTimer = null;
-  // }
-}
+window.handleDoNotDisturbAction = (action) => {
+  if (action === 'hour') {
+    const until = window.dndManager.enableFor(60);
+    window.showToast(`已开启免打扰，${window.formatTimeOfDay(until)} 结束`);
+  } else {
+    window.dndManager.setEnabled(action === 'on');
+    window.showToast(action === 'on' ? '已开启免打扰，需手动关闭' : '已关闭免打扰');
+  }
+  updateDndStatusUI();
+};
 
 /*
- * 功能：读取悬浮窗持久化状态（utools.dbStorage）
- * 参数：无
- * 返回值：Object { visible?:Boolean, x?:Number, y?:Number }
- * 创建日期：2025-12-01
- * 更新日期：2025-12-15 (迁移至 dbStorage)
+ * 功能：保存安静时段
+ * 参数：value - 安静时段文本，如 "12:00-13:30, 22:00-08:00"
+ * 返回值：无
+ * 创建日期：2026-10-18
  */
-function getFloatingState() {
-  try {
-    const raw = window.utools.dbStorage.getItem('floatingWindowState');
-    return raw ? raw : { visible: false };
-  } catch (_) { return { visible: false }; }
+window.handleQuietHoursChange = (value) => {
+  const quietHours = window.parseQuietHours(value);
+  const input = document.getElementById('quiet-hours');
+  if (!quietHours) {
+    window.showToast(`请按"12:00-13:30, 22:00-08:00"格式输入，最多${MAX_QUIET_HOURS}段`, 'error');
+    if (input) input.value = window.formatQuietHours(window.dndManager.getSettings().quietHours);
+    return;
+  }
+  window.dndManager.saveSettings({ quietHours });
+  if (input) input.value = window.formatQuietHours(quietHours);
+  window.showToast(quietHours.length > 0 ? '安静时段已保存' : '已清除安静时段');
+  updateDndStatusUI();
+};
+
+window.handleDndModeChange = (mode) => {
+  if (!DND_MODES[mode]) return;
+  window.dndManager.saveSettings({ dndMode: mode });
+  window.showToast(`免打扰期间的提醒：${DND_MODES[mode]}`);
+};
+
+// 刷新设置页的免打扰状态与表单
+function updateDndStatusUI() {
+  const status = document.getElementById('dnd-status');
+  if (!status) return;
+  const settings = window.dndManager.getSettings();
+  status.textContent = window.dndManager.describe();
+  document.getElementById('quiet-hours').value = window.formatQuietHours(settings.quietHours);
+  document.getElementById('dnd-mode').value = settings.mode;
 }
 
 /*
- * 功能：更新悬浮窗持久化状态（utools.dbStorage）
- * 参数：patch(Object) 包含要更新的字段
- * 返回值：无
- * 创建日期：2025-12-01
- * 更新日期：2025-12-15 (迁移至 dbStorage)
+ * 功能：根据一句话创建时间块（uTools 搜索框输入，如"10分钟后 喝水"、"每周一 14:00 周会"）
+ * 参数：text - 输入文本
+ * 返回值：Object|null 创建的时间块，无法识别时返回 null
+ * 创建日期：2026-10-18
  */
-function persistFloatingState(patch) {
-  try {
-    const prev = getFloatingState() || {};
-    const next = { ...prev, ...patch };
-    window.utools.dbStorage.setItem('floatingWindowState', next);
-  } catch (_) {}
-}
+window.createBlockFromText = (text) => {
+  const parsed = timeParser.parseAlarmText(text, new Date());
+  if (!parsed) {
+    window.logger.log(`[快速创建] 无法识别时间: ${text}`);
+    window.showToast('没有识别出提醒时间，试试"10分钟后 喝水"或"明天9点 开会"', 'error');
+    return null;
+  }
 
-// 进程监控
-// 已移除：进程监控与导出方法
+  const task = parsed.task || '提醒';
+  const block = {
+    task,
+    startTime: parsed.startTime,
+    enabled: true,
+    preAlert: false, // 快速创建不预提醒
+    weekdays: []
+  };
+  if (parsed.type === 'once') {
+    Object.assign(block, { reminderMode: 'once', reminderCount: 1, remainingCount: 1 });
+  } else {
+    const recurrence = { ...parsed.recurrence, interval: 1, startDate: toDateKey(parsed.startTime), until: null };
+    Object.assign(block, {
+      reminderMode: recurrence.freq,
+      weekdays: recurrence.weekdays || [],
+      recurrence,
+      reminderCount: -1,
+      remainingCount: -1
+    });
+  }
+
+  const blocks = window.getTimeSettings();
+  blocks.push(block);
+  window.saveTimeSettings(blocks);
+  if (typeof window.renderTimeline === 'function') {
+    try {
+      window.renderTimeline();
+      window.renderTimeBlockList();
+    } catch (_) {}
+  }
+
+  // 提示创建结果，如"已创建：明天 09:00 开会"
+  let whenText;
+  if (parsed.type === 'once') {
+    const dayOffset = daysBetween(new Date(), parsed.startTime);
+    const dayText = ['今天', '明天', '后天'][dayOffset] || toDateKey(parsed.startTime);
+    whenText = `${dayText} ${window.formatTimeOfDay(parsed.startTime)}`;
+  } else {
+    whenText = `${window.describeRecurrence(block)} ${window.formatTimeOfDay(parsed.startTime)}`;
+  }
+  window.logger.log(`[快速创建] ${text} → ${whenText} ${task}`);
+  window.showToast(`已创建：${whenText} ${task}`);
+  return block;
+};
 
 /*
- * 功能：读取微件运行状态文件
- * 参数：无
- * 返回值：Object | null 状态内容，如 {running, pid, updatedAt, version, stage}
- * 日期：2025-12-01
+ * 数据备份：导出为 JSON 备份包或 iCalendar(.ics)，并从两种格式导入
+ * JSON 备份包结构：{ format: 'desk-clock-backup', version, exportedAt, timeBlocks, globalSettings, globalConfig }
+ * 导入先生成预览（pendingImport），用户确认合并/替换后才写入存储
+ * 创建日期：2026-10-18
  */
-// 已移除：微件运行状态读取
+const BACKUP_FORMAT = 'desk-clock-backup';
+const BACKUP_VERSION = 1;
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ICS_IMPORT_DEFAULT_HOUR = 9; // 全天事件导入后的提醒时刻
+let pendingImport = null;
 
 /*
- * 功能：检测微件是否运行（进程+心跳文件）
- * 参数：无
- * 返回值：Boolean 是否判定为运行中
- * 日期：2025-12-01
+ * 功能：生成时间块的去重签名（任务名 + 时刻 + 重复规则，单次提醒再加日期）
+ * 参数：block - 时间块
+ * 返回值：String
+ * 创建日期：2026-10-18
  */
-// 已移除：微件存活检测
+function getBlockSignature(block) {
+  const rule = getRecurrenceRule(block);
+  const when = rule.freq === 'once' ? toDateKey(block.startTime) : window.describeRecurrence(block);
+  return `${String(block.task || '').trim()}|${window.formatTimeOfDay(block.startTime)}|${when}`;
+}
+
+// 弹出保存对话框并写入文件，用户取消时返回 null
+function saveExportFile(fileName, extension, content) {
+  const filePath = utools.showSaveDialog({
+    title: '导出数据',
+    defaultPath: path.join(window.utools.getPath('downloads'), fileName),
+    filters: [{ name: extension.toUpperCase(), extensions: [extension] }]
+  });
+  if (!filePath) return null;
+  fs.writeFileSync(filePath, content, 'utf-8');
+  return filePath;
+}
 
 /*
- * 功能：启动微件心跳监测（2s）并在UI上提示连接状态
+ * 功能：导出全部时间块和设置为 JSON 备份包
  * 参数：无
  * 返回值：无
- * 日期：2025-12-01
+ * 创建日期：2026-10-18
  */
-// 已移除：微件心跳监测
-
-// 监听窗口隐藏事件
-window.utools.onPluginOut(() => {
-  window.logger.log(`[插件生命周期] onPluginOut 触发`);
-  
-  const app = document.getElementById('app');
-  if (app) {
-    const currentDisplay = app.style.display;
-    window.logger.log(`[插件生命周期] app元素当前display状态: ${currentDisplay || 'default'}`);
-    app.style.display = 'none';
-    window.logger.log(`[插件生命周期] app元素display已设置为: none`);
-  } else {
-    window.logger.error(`[插件生命周期] 未找到app元素`);
+window.exportDataAsJson = () => {
+  try {
+    const blocks = window.getTimeSettings();
+    const bundle = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      timeBlocks: blocks,
+      globalSettings: window.utools.dbStorage.getItem('globalSettings') || {},
+      globalConfig: JSON.parse(window.utools.dbStorage.getItem('globalConfig') || '{}'),
+      categories: window.getCategories()
+    };
+    const filePath = saveExportFile(`desk-clock-${toDateKey(new Date())}.json`, 'json', JSON.stringify(bundle, null, 2));
+    if (!filePath) return;
+    window.logger.log(`[数据备份] 导出 JSON: ${filePath}`);
+    window.showToast(`已导出 ${blocks.length} 个时间块`);
+  } catch (error) {
+    window.logger.error('[数据备份] 导出 JSON 失败:', error);
+    window.showToast(`导出失败: ${error.message}`, 'error');
   }
-  /*
-   * 功能：插件隐藏时暂停悬浮窗更新定时器
-   * 参数：无
-   * 返回值：无
-   * 创建日期：2025-12-01
-  */
-  
-  
-  window.logger.log(`[插件生命周期] onPluginOut 处理完成，返回false阻止退出`);
-  return false; // 返回false以阻止插件退出
-}); 
-
-// 提供隐藏窗口的方法
-window.hideWindow = () => {
-  document.getElementById('app').style.display = 'none';
-  window.utools.hideMainWindow(); // 隐藏主窗口
 };
 
+// iCalendar 文本转义（RFC 5545 3.3.11）
+function escapeIcsText(text) {
+  return String(text || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
 
+function unescapeIcsText(text) {
+  return String(text || '').replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
 
-// 插件准备就绪时初始化显示
-window.utools.onPluginReady(() => {
-  const appElement = document.getElementById('app');
-  if (appElement) {
-    appElement.style.display = 'block';
+// 按 75 字节折行，避免把多字节字符拆开
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch, 'utf-8');
+    if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
   }
-  /**
-   * 在插件就绪时恢复悬浮窗
-   * 功能：若上次退出前悬浮窗为可见，则自动恢复打开并还原位置
-   * 参数：无
-   * 返回值：无
-   * 创建日期：2025-12-08
-   */
-  const state = getFloatingState();
-  window.__floatingVisible = !!(state && state.visible);
-  // 初始化按钮文案
-  try {
-    const btn = document.getElementById('floating-toggle-btn');
-    if (btn) btn.textContent = window.__floatingVisible ? '隐藏悬浮窗' : '显示悬浮窗';
-  } catch (_) {}
-  // 自动恢复悬浮窗
-  if (state && state.visible) {
-    setTimeout(() => {
-      try { window.openFloatingWindow(); } catch (_) {}
-    }, 100);
+  parts.push(current);
+  return parts.join('\r\n ');
+}
 
-    // 兜底：若首次尝试未成功显示窗口，延迟重试一次
-    setTimeout(() => {
-      try {
-        const retryState = getFloatingState();
-        const exists = window.floatingWin && !window.floatingWin.isDestroyed();
-        let visible = false;
-        if (exists && typeof window.floatingWin.isVisible === 'function') {
-          visible = window.floatingWin.isVisible();
-        }
-        if (retryState && retryState.visible && (!exists || !visible)) {
-          window.logger.log('[插件生命周期] onPluginReady: 检测到悬浮窗未成功显示，执行兜底唤醒');
-          window.openFloatingWindow();
-        }
-      } catch (_) {}
-    }, 3000);
-  }
-  /*
-   * 功能：启动桌面微件数据同步
-   * 参数：无
-   * 返回值：无
-   * 创建日期：2025-12-01
-  */
-  // 已移除微件数据同步与心跳监测
-});
+// 本地时间格式化为 iCalendar 浮动时间 YYYYMMDDTHHMMSS
+function formatIcsDateTime(date) {
+  const d = new Date(date);
+  const pad = value => String(value).padStart(2, '0');
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}T${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+}
 
-// 处理预提醒时间变更
-window.handlePreAlertTimeChange = () => {
-  const preAlertTime = parseInt(document.getElementById('pre-alert-time').value);
-  const preAlertCount = preAlertTime > 3 ? 2 : 1;
-  const globalAlertEnabled = document.getElementById('global-alert-toggle').value === 'true';
-  
-  // 更新UI和存储
-  document.getElementById('pre-alert-count').value = preAlertCount;
-  window.utools.dbStorage.setItem('globalSettings', {
-    preAlertTime,
-    preAlertCount,
-    globalAlertEnabled,
-    notificationType: 'popup' // 固定使用弹窗通知
-  });
-  try {
-    const st = getFloatingState();
-    if (st && st.visible) window.pushFloatingData();
-  } catch (_) {}
-};
+// 重复时间块的第一次发生时刻（作为 DTSTART，保证与 RRULE 一致）
+function getFirstOccurrence(block, rule) {
+  const base = new Date(block.startTime);
+  const anchor = parseDateKey(rule.startDate);
+  const first = findNextRuleOccurrence(rule, new Date(anchor.getTime() - 1), base);
+  if (first) return first;
+  return new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate(), base.getHours(), base.getMinutes(), base.getSeconds());
+}
 
-window.handleAvatarUpload = () => {
-  const result = utools.showOpenDialog({
-    filters: [{ name: '图片', extensions: ['jpg', 'jpeg', 'png', 'gif'] }],
-    properties: ['openFile']
-  });
-  if (result && result.length > 0) {
-    const file = result[0];
-    const destPath = path.join(window.utools.getPath('userData'), 'touxiang.png');
-    window.logger.log('[头像上传] 开始复制文件:', {源文件: file, 目标路径: destPath});
-    
-    try {
-      fs.copyFileSync(file, destPath);
-      const config = JSON.parse(window.utools.dbStorage.getItem('globalConfig') || '{}');
-      config.avatar = destPath;
-      window.utools.dbStorage.setItem('globalConfig', JSON.stringify(config));
-      window.logger.log('[头像上传] 文件复制成功，更新数据库');
-      
-      // 更新预览并添加时间戳参数
-      const timestamp = new Date().getTime();
-      document.getElementById('avatarPreview').src = `${destPath}?t=${timestamp}`;
-      window.logger.log('[头像预览] 已更新预览地址:', `${destPath}?t=${timestamp}`);
-    } catch (error) {
-      window.logger.error('[头像上传] 文件复制失败:', error);
-      window.showToast(`头像更新失败: ${error.message}`, 'error');
-    }
+/*
+ * 功能：把重复规则转换为 RRULE（法定工作日近似为周一至周五）
+ * 参数：rule - getRecurrenceRule 的返回值；block - 时间块
+ * 返回值：String|null 单次提醒或无法表示时返回 null
+ * 创建日期：2026-10-18
+ */
+function buildIcsRRule(rule, block) {
+  const parts = [];
+  if (rule.freq === 'daily') {
+    parts.push('FREQ=DAILY');
+  } else if (rule.freq === 'workday') {
+    parts.push('FREQ=WEEKLY', 'BYDAY=MO,TU,WE,TH,FR');
+  } else if (rule.freq === 'weekly') {
+    if (rule.weekdays.length === 0) return null;
+    parts.push('FREQ=WEEKLY', 'WKST=MO', `BYDAY=${rule.weekdays.map(d => ICS_WEEKDAYS[d]).join(',')}`);
+  } else if (rule.freq === 'monthly') {
+    parts.push('FREQ=MONTHLY');
+    parts.push(rule.nthWeekday
+      ? `BYDAY=${rule.nthWeekday.nth}${ICS_WEEKDAYS[rule.nthWeekday.weekday]}`
+      : `BYMONTHDAY=${rule.monthDay}`);
+  } else if (rule.freq === 'yearly') {
+    parts.push('FREQ=YEARLY', `BYMONTH=${rule.month}`, `BYMONTHDAY=${rule.monthDay}`);
+  } else {
+    return null;
   }
-};
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  // RFC 5545 不允许同时出现 UNTIL 和 COUNT，设置了截止日期时以截止日期为准
+  if (rule.until) parts.push(`UNTIL=${rule.until.replace(/-/g, '')}T235959`);
+  else if (block.reminderCount > 0) parts.push(`COUNT=${block.reminderCount}`);
+  return parts.join(';');
+}
 
-// 铃声上传功能
-window.handleBellSoundUpload = () => {
-  const result = utools.showOpenDialog({
-    filters: [{ name: '音频文件', extensions: ['mp3', 'wav', 'ogg', 'm4a', 'aac'] }],
-    properties: ['openFile']
+function buildIcsEvent(block, settings, stamp) {
+  const rule = getRecurrenceRule(block);
+  const rrule = buildIcsRRule(rule, block);
+  const start = rrule ? getFirstOccurrence(block, rule) : new Date(block.startTime);
+  const duration = getBlockDurationMinutes(block);
+  const alarm = (trigger, description) => [
+    'BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeIcsText(description)}`, trigger, 'END:VALARM'
+  ];
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${block.id}@desk-clock`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatIcsDateTime(start)}`,
+    `SUMMARY:${escapeIcsText(block.task)}`
+  ];
+  if (duration > 0) lines.push(`DURATION:PT${duration}M`);
+  if (rrule) lines.push(`RRULE:${rrule}`);
+  // 自定义属性保留 iCalendar 无法表达的信息，再次导入时还原
+  if (rule.freq === 'workday') lines.push('X-DESK-CLOCK-FREQ:WORKDAY');
+  if (!isBlockEnabled(block)) lines.push('X-DESK-CLOCK-ENABLED:FALSE');
+  lines.push(...alarm('TRIGGER:PT0M', block.task));
+  getPreAlertLeads(block, settings).forEach(lead => {
+    lines.push(...alarm(`TRIGGER:-PT${lead}M`, `${block.task}（${lead}分钟后开始）`));
   });
-  if (result && result.length > 0) {
-    const file = result[0];
-    const fileName = path.basename(file);
-    const destPath = path.join(window.utools.getPath('userData'), `bell_${fileName}`);
-    window.logger.log('[铃声上传] 开始复制文件:', {源文件: file, 目标路径: destPath});
-    
-    try {
-      fs.copyFileSync(file, destPath);
-      const config = JSON.parse(window.utools.dbStorage.getItem('globalConfig') || '{}');
-      config.customBellSound = destPath;
-      config.bellSoundType = 'custom';
-      window.utools.dbStorage.setItem('globalConfig', JSON.stringify(config));
-      window.logger.log('[铃声上传] 文件复制成功，更新数据库');
-      
-      // 更新UI显示
-      updateBellSoundUI();
-      window.showToast(`已设置自定义铃声: ${fileName}`);
-    } catch (error) {
-      window.logger.error('[铃声上传] 文件复制失败:', error);
-      window.showToast(`铃声设置失败: ${error.message}`, 'error');
-    }
-  }
-};
+  if (duration > 0 && block.endAlert) lines.push(...alarm('TRIGGER;RELATED=END:PT0M', `${block.task}（结束）`));
+  lines.push('END:VEVENT');
+  return lines;
+}
 
-// 重置为默认铃声
-window.resetToDefaultBellSound = () => {
+/*
+ * 功能：导出全部时间块为 iCalendar(.ics)，可导入系统日历
+ * 参数：无
+ * 返回值：无
+ * 创建日期：2026-10-18
+ */
+window.exportDataAsIcs = () => {
   try {
-    const config = JSON.parse(window.utools.dbStorage.getItem('globalConfig') || '{}');
-    config.bellSoundType = 'default';
-    window.utools.dbStorage.setItem('globalConfig', JSON.stringify(config));
-    window.logger.log('[铃声设置] 重置为默认铃声');
-    
-    // 更新UI显示
-    updateBellSoundUI();
-    window.showToast('已重置为默认铃声');
+    const blocks = window.getTimeSettings().filter(block => block && block.task && Number.isFinite(new Date(block.startTime).getTime()));
+    const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//desk-clock//CN', 'CALSCALE:GREGORIAN', 'X-WR-CALNAME:桌面时钟'];
+    blocks.forEach(block => lines.push(...buildIcsEvent(block, settings, stamp)));
+    lines.push('END:VCALENDAR');
+
+    const content = lines.map(foldIcsLine).join('\r\n') + '\r\n';
+    const filePath = saveExportFile(`desk-clock-${toDateKey(new Date())}.ics`, 'ics', content);
+    if (!filePath) return;
+    window.logger.log(`[数据备份] 导出 iCalendar: ${filePath}`);
+    window.showToast(`已导出 ${blocks.length} 个时间块到日历文件`);
   } catch (error) {
-    window.logger.error('[铃声设置] 重置失败:', error);
-    window.showToast(`铃声设置失败: ${error.message}`, 'error');
+    window.logger.error('[数据备份] 导出 iCalendar 失败:', error);
+    window.showToast(`导出失败: ${error.message}`, 'error');
   }
 };
 
-// 更新铃声UI显示
-function updateBellSoundUI() {
-  const config = JSON.parse(window.utools.dbStorage.getItem('globalConfig') || '{}');
-  const bellSoundType = config.bellSoundType || 'default';
-  const customBellSound = config.customBellSound;
-  
-  const statusElement = document.getElementById('bell-sound-status');
-  if (statusElement) {
-    if (bellSoundType === 'custom' && customBellSound) {
-      const fileName = path.basename(customBellSound);
-      statusElement.textContent = `当前: 自定义铃声 (${fileName})`;
-      statusElement.style.color = '#52c41a';
-    } else {
-      statusElement.textContent = '当前: 默认铃声';
-      statusElement.style.color = '#666';
+// 解析 iCalendar 日期时间：DATE 取默认提醒时刻，带 Z 的按 UTC 转本地，其余（含 TZID）按本地时间
+function parseIcsDateTime(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const [, y, mo, d, h, mi, s, utc] = match;
+  if (h === undefined) return { date: new Date(Number(y), Number(mo) - 1, Number(d), ICS_IMPORT_DEFAULT_HOUR), allDay: true };
+  const date = utc
+    ? new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s)))
+    : new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s));
+  return { date, allDay: false };
+}
+
+// 解析 ISO 8601 时长（如 PT1H30M、-PT10M），返回分钟数
+function parseIcsDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const [, sign, w, d, h, m, s] = match;
+  const minutes = (Number(w || 0) * 7 + Number(d || 0)) * 1440 + Number(h || 0) * 60 + Number(m || 0) + Number(s || 0) / 60;
+  return sign === '-' ? -minutes : minutes;
+}
+
+// 把 .ics 文本拆成组件树中的 VEVENT 列表：[{ props: { NAME: [{ params, value }] }, alarms: [props] }]
+function parseIcsEvents(text) {
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let event = null;
+  let alarm = null;
+  const addProp = (target, line) => {
+    const colon = line.indexOf(':');
+    if (colon === -1) return;
+    const [name, ...paramList] = line.slice(0, colon).split(';');
+    const params = {};
+    paramList.forEach(item => {
+      const [key, val] = item.split('=');
+      params[key.toUpperCase()] = (val || '').replace(/^"|"$/g, '');
+    });
+    const key = name.toUpperCase();
+    (target[key] = target[key] || []).push({ params, value: line.slice(colon + 1) });
+  };
+
+  lines.forEach(line => {
+    const upper = line.trim().toUpperCase();
+    if (upper === 'BEGIN:VEVENT') {
+      event = { props: {}, alarms: [] };
+    } else if (upper === 'END:VEVENT') {
+      if (event) events.push(event);
+      event = null;
+    } else if (upper === 'BEGIN:VALARM' && event) {
+      alarm = {};
+    } else if (upper === 'END:VALARM' && event) {
+      if (alarm) event.alarms.push(alarm);
+      alarm = null;
+    } else if (event && line.trim()) {
+      addProp(alarm || event.props, line);
     }
-  }
+  });
+  return events;
 }
 
-// 修改后的保存时间设置方法
-function getRandomColor() {
-    const colors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEEAD', '#D4A5A5', '#9B59B6', '#3498DB'];
-    return colors[Math.floor(Math.random() * colors.length)];
+/*
+ * 功能：把 RRULE 转换为本插件的重复规则
+ * 参数：rrule - RRULE 值；start - DTSTART；isWorkday - 是否带 X-DESK-CLOCK-FREQ:WORKDAY
+ * 返回值：Object|null { recurrence, count }，不支持的频率返回 null
+ * 创建日期：2026-10-18
+ */
+function parseIcsRRule(rrule, start, isWorkday) {
+  const parts = {};
+  String(rrule).split(';').forEach(item => {
+    const [key, val] = item.split('=');
+    if (key && val !== undefined) parts[key.toUpperCase()] = val.toUpperCase();
+  });
+  const interval = Math.max(1, parseInt(parts.INTERVAL, 10) || 1);
+  const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+  const recurrence = { interval, startDate: toDateKey(start), until: null };
+
+  if (parts.UNTIL) {
+    const until = parseIcsDateTime(parts.UNTIL);
+    if (until) recurrence.until = toDateKey(until.date);
   }
-  
-  // 提醒系统状态机
-  const AlertState = {
-    IDLE: 'idle',
-    RUNNING: 'running',
-    PRE_ALERT: 'pre_alert',
-    ALERTING: 'alerting',
-    PAUSED: 'paused',
-    COMPLETED: 'completed'
-  };
-  
-  // 全局状态变量
-  const lastAlertDates = new Map();
-  const lastNotificationTimes = new Map();
-  const lastPreAlertTimes = new Map();
-  const lastRemainingMinutes = new Map();
-  
-  class AlertManager {
-    constructor() {
-      this.state = AlertState.IDLE;
-      this.timeBlocks = window.getTimeSettings();
-      this.timer = null;
-      this.startGlobalTimer();
+
+  if (parts.FREQ === 'DAILY') {
+    recurrence.freq = 'daily';
+  } else if (parts.FREQ === 'WEEKLY') {
+    if (isWorkday) {
+      Object.assign(recurrence, { freq: 'workday', interval: 1 });
+    } else {
+      const weekdays = byDay.map(code => ICS_WEEKDAYS.indexOf(code.slice(-2))).filter(d => d >= 0);
+      Object.assign(recurrence, { freq: 'weekly', weekdays: weekdays.length > 0 ? weekdays : [start.getDay()] });
     }
-  
-    startTimeBlock(block) {
-      this.timeBlocks.push(block);
-      if (!this.timer) {
-        this.startGlobalTimer();
-      }
+  } else if (parts.FREQ === 'MONTHLY') {
+    recurrence.freq = 'monthly';
+    const nthMatch = byDay.length > 0 ? /^([+-]?\d)(SU|MO|TU|WE|TH|FR|SA)$/.exec(byDay[0]) : null;
+    if (nthMatch && [-1, 1, 2, 3, 4, 5].includes(Number(nthMatch[1]))) {
+      recurrence.nthWeekday = { nth: Number(nthMatch[1]), weekday: ICS_WEEKDAYS.indexOf(nthMatch[2]) };
+    } else {
+      recurrence.monthDay = parseInt(parts.BYMONTHDAY, 10) || start.getDate();
     }
-  
-    startGlobalTimer() {
-      if (this.timer) return;
-      
-      this.timer = setInterval(() => {
-        const now = new Date();
-        const currentHour = now.getHours();
-        const currentMinute = now.getMinutes();
-        const currentTime = now.getTime();
-  
-        window.logger.debug(`[时间检查] 当前时间: ${currentHour}:${currentMinute}`);
-        this.timeBlocks = window.getTimeSettings();
-        let hasUpdates = false;
-
-        const settings = window.utools.dbStorage.getItem('globalSettings') || {
-          preAlertTime: 3,
-          preAlertCount: 1,
-          globalAlertEnabled: true
-        };
-        if (!settings || settings.globalAlertEnabled === false) return;
-        
-        this.timeBlocks.forEach((block, index) => {
-          if (!block.enabled || block.status !== 'pending') return;
-          
-          const blockTime = new Date(block.startTime);
-          const blockHour = blockTime.getHours();
-          const blockMinute = blockTime.getMinutes();
-          const totalBlockMinutes = blockHour * 60 + blockMinute;
-          const totalCurrentMinutes = currentHour * 60 + currentMinute;
-          const timeDiff = totalBlockMinutes - totalCurrentMinutes;
-
-          window.logger.debug(`[时间检查] 检查时间块: ${block.task}, 预定时间: ${blockHour}:${blockMinute} 总分钟差: ${timeDiff}`);
-  
-          // 检查预提醒条件
-          if (block.preAlert && timeDiff > 0 && timeDiff <= settings.preAlertTime) {
-            // 检查星期提醒模式（预提醒也需要遵循星期设置）
-            const reminderMode = block.reminderMode || 'daily';
-            const currentWeekday = now.getDay(); // 0=周日, 1=周一, ..., 6=周六
-            
-            let shouldPreAlert = true;
-            if (reminderMode === 'weekly') {
-              // 检查今天是否在选定的星期内
-              const weekdays = block.weekdays || [];
-              shouldPreAlert = weekdays.includes(currentWeekday);
-              window.logger.debug(`[时间检查] 预提醒星期检查: ${block.task}, 当前星期: ${currentWeekday}, 选定星期: ${weekdays}, 是否预提醒: ${shouldPreAlert}`);
-            }
-            
-            if (shouldPreAlert) {
-              const lastPreAlertTime = lastPreAlertTimes.get(block.id) || 0;
-              const lastRemaining = lastRemainingMinutes.get(block.id) || 0;
-              const preAlertInterval = Math.floor(settings.preAlertTime / settings.preAlertCount);
-              window.logger.debug(`[时间检查] 检查预提醒条件: ${block.task}, 剩余${timeDiff}分钟, 上次提醒时间: ${lastPreAlertTime}, 上次剩余: ${lastRemaining}`)
-              if (lastRemaining !== timeDiff && 
-                  currentTime - lastPreAlertTime >= preAlertInterval * 60000 && 
-                  settings.preAlertCount > lastPreAlertTimes.size) {
-                window.logger.log(`[时间检查] 触发预提醒: ${block.task}, 剩余${timeDiff}分钟`);
-                this.showSideAlert(block, timeDiff);
-                lastRemainingMinutes.set(block.id, timeDiff);
-                lastPreAlertTimes.set(block.id, currentTime);
-                hasUpdates = true;
-              }
-            } else {
-              window.logger.debug(`[时间检查] 今天不在预提醒星期范围内: ${block.task}，跳过预提醒`);
-            }
-          }
-  
-          // 检查主提醒条件
-          if (currentHour === blockHour && currentMinute === blockMinute) {
-            // 检查星期提醒模式
-            const reminderMode = block.reminderMode || 'daily';
-            const currentWeekday = now.getDay(); // 0=周日, 1=周一, ..., 6=周六
-            
-            let shouldAlert = true;
-            if (reminderMode === 'weekly') {
-              // 检查今天是否在选定的星期内
-              const weekdays = block.weekdays || [];
-              shouldAlert = weekdays.includes(currentWeekday);
-              window.logger.debug(`[时间检查] 星期提醒模式: ${block.task}, 当前星期: ${currentWeekday}, 选定星期: ${weekdays}, 是否提醒: ${shouldAlert}`);
-            }
-            
-            if (!shouldAlert) {
-              window.logger.debug(`[时间检查] 今天不在提醒星期范围内: ${block.task}，跳过提醒`);
-              return;
-            }
-            
-            // 检查是否今天已经提醒过，并确保至少间隔30秒
-            const today = new Date().setHours(0, 0, 0, 0);
-            const lastNotificationTime = lastNotificationTimes.get(block.id) || 0;
-            const lastAlertDate = lastAlertDates.get(block.id);
-            
-            if (lastAlertDate !== today && currentTime - lastNotificationTime >= 10000) {
-              window.logger.log(`[时间检查] 触发主提醒: ${block.task}`);
-              this.showAlert(block);
-              lastAlertDates.set(block.id, today);
-              lastNotificationTimes.set(block.id, currentTime);
-              
-              // 处理快速闹钟（单次提醒）
-              if (block.reminderMode === 'once') {
-                window.logger.log(`[时间检查] 快速闹钟触发完毕，自动删除: ${block.task}`);
-                window.deleteTimeBlock(block.id);
-                // 重新获取列表以反映删除
-                hasUpdates = true;
-                return; // 跳过后续重置逻辑
-              }
-              
-              // 处理提醒次数（兼容性处理）
-              const reminderCount = block.reminderCount !== undefined ? block.reminderCount : -1;
-              const remainingCount = block.remainingCount !== undefined ? block.remainingCount : reminderCount;
-              
-              if (reminderCount !== -1) { // 不是永久提醒
-                if (remainingCount > 0) {
-                  block.remainingCount = remainingCount - 1;
-                } else if (remainingCount <= 0) {
-                  block.status = 'disabled'; // 提醒次数用完后禁用
-                }
-              }
-              
-              // 重置时间块状态
-              if (reminderMode === 'daily') {
-                // 每日提醒：设置为明天同一时间
-                const tomorrow = new Date(blockTime);
-                tomorrow.setDate(tomorrow.getDate() + 1);
-                block.startTime = tomorrow.getTime();
-              } else if (reminderMode === 'weekly') {
-                // 星期提醒：设置为下一个符合条件的日期
-                const nextDate = this.getNextWeeklyAlertDate(blockTime, block.weekdays);
-                block.startTime = nextDate.getTime();
-              }
-              
-              block.status = 'pending';
-              // 重置上一次剩余分钟数和预提醒相关状态
-              lastRemainingMinutes.delete(block.id);
-              lastPreAlertTimes.delete(block.id);
-              hasUpdates = true;
-              window.logger.log(`[时间检查] 重置时间块: ${block.task}, 下次提醒时间: ${new Date(block.startTime).toLocaleString()}`);
-            } else {
-              window.logger.debug(`[时间检查] 今天已经提醒过或间隔太短: ${block.task}，跳过提醒`);
-            }
-  
-          }
-        });
-        
-        // 每次轮询结束后，同步更新悬浮窗数据
-        try { window.pushFloatingData(); } catch (_) {}
+  } else if (parts.FREQ === 'YEARLY') {
+    Object.assign(recurrence, {
+      freq: 'yearly',
+      month: parseInt(parts.BYMONTH, 10) || start.getMonth() + 1,
+      monthDay: parseInt(parts.BYMONTHDAY, 10) || start.getDate()
+    });
+  } else {
+    return null;
+  }
+  return { recurrence, count: parseInt(parts.COUNT, 10) || 0 };
+}
 
-      }, 5000);
-    }
-  
-    showSideAlert(block, remainingMinutes) {
-      window.logger.log(`[预提醒] 显示预提醒: ${block.task}, 剩余${remainingMinutes}分钟`);
-      
-      // 播放铃声
-      window.playBellSound();
-      
-      window.sendNotification(
-        `${block.task}`,
-        `还剩${remainingMinutes}分钟`
-      );
+/*
+ * 功能：把 .ics 内容转换为时间块（不支持的重复频率和已过期的单次事件计入跳过数）
+ * 参数：text - .ics 文件内容
+ * 返回值：Object { blocks, skipped }
+ * 创建日期：2026-10-18
+ */
+function parseIcsBlocks(text) {
+  const now = Date.now();
+  const blocks = [];
+  let skipped = 0;
+  const first = (props, name) => (props[name] && props[name][0]) || null;
+
+  parseIcsEvents(text).forEach(event => {
+    const dtStart = first(event.props, 'DTSTART');
+    const start = dtStart && parseIcsDateTime(dtStart.value);
+    if (!start) {
+      skipped++;
+      return;
     }
-  
-    showAlert(block) {
-      window.logger.log(`[主提醒] 显示主提醒: ${block.task}`);
-      
-      // 播放铃声
-      window.playBellSound();
-      
-      // 统计用户真实使用情况
-      try {
-        if (window.umami && typeof window.umami.track === 'function') {
-          window.umami.track('alert-triggered', {
-            task: block.task,
-            time: new Date().toLocaleTimeString(),
-            hasPreAlert: block.preAlert || false
-          });
-          window.logger.log('[统计] 主提醒事件已记录');
-        }
-      } catch (error) {
-        window.logger.log('[统计] 统计记录失败:', error);
+
+    const block = {
+      task: unescapeIcsText((first(event.props, 'SUMMARY') || {}).value).trim() || '日历事件',
+      startTime: start.date.getTime(),
+      enabled: ((first(event.props, 'X-DESK-CLOCK-ENABLED') || {}).value || '').toUpperCase() !== 'FALSE',
+      preAlert: false,
+      weekdays: []
+    };
+    const uid = (first(event.props, 'UID') || {}).value || '';
+    if (/@desk-clock$/.test(uid)) block.id = uid.replace(/@desk-clock$/, '');
+
+    // 时长：DURATION 优先，其次 DTEND；全天事件不设时长
+    if (!start.allDay) {
+      let minutes = null;
+      const duration = first(event.props, 'DURATION');
+      const dtEnd = first(event.props, 'DTEND');
+      if (duration) {
+        minutes = parseIcsDuration(duration.value);
+      } else if (dtEnd) {
+        const end = parseIcsDateTime(dtEnd.value);
+        if (end) minutes = (end.date.getTime() - start.date.getTime()) / 60000;
       }
-      
-      // 发送系统通知
-      window.sendNotification(
-        block.task,
-        '时间到！'
-      );
+      if (minutes > 0) block.duration = Math.min(MAX_BLOCK_DURATION, Math.round(minutes));
     }
-  
-    // 计算下一个星期提醒日期
-    getNextWeeklyAlertDate(currentDate, weekdays) {
-      const date = new Date(currentDate);
-      const currentWeekday = date.getDay();
-      
-      // 找到下一个符合条件的星期
-      let daysToAdd = 1;
-      for (let i = 1; i <= 7; i++) {
-        const nextWeekday = (currentWeekday + i) % 7;
-        if (weekdays.includes(nextWeekday)) {
-          daysToAdd = i;
-          break;
-        }
+
+    // 提醒：开始前触发的 VALARM 视为预提醒，相对结束时间的视为结束提醒
+    const leads = [];
+    event.alarms.forEach(alarm => {
+      const trigger = first(alarm, 'TRIGGER');
+      if (!trigger) return;
+      const minutes = parseIcsDuration(trigger.value);
+      if ((trigger.params.RELATED || '').toUpperCase() === 'END') {
+        if (block.duration) block.endAlert = true;
+      } else if (minutes < 0) {
+        leads.push(Math.round(-minutes));
       }
-      
-      date.setDate(date.getDate() + daysToAdd);
-      return date;
+    });
+    block.preAlertLeads = normalizePreAlertLeads(leads);
+    block.preAlert = block.preAlertLeads.length > 0;
+
+    const rrule = first(event.props, 'RRULE');
+    if (rrule) {
+      const isWorkday = ((first(event.props, 'X-DESK-CLOCK-FREQ') || {}).value || '').toUpperCase() === 'WORKDAY';
+      const parsed = parseIcsRRule(rrule.value, start.date, isWorkday);
+      if (!parsed) {
+        skipped++;
+        return;
+      }
+      Object.assign(block, {
+        reminderMode: parsed.recurrence.freq,
+        weekdays: parsed.recurrence.weekdays || [],
+        recurrence: parsed.recurrence,
+        reminderCount: parsed.count > 0 ? parsed.count : -1,
+        remainingCount: parsed.count > 0 ? parsed.count : -1
+      });
+    } else {
+      if (block.startTime <= now) {
+        skipped++;
+        return;
+      }
+      Object.assign(block, { reminderMode: 'once', reminderCount: 1, remainingCount: 1 });
     }
+    blocks.push(block);
+  });
+  return { blocks, skipped };
+}
 
-    handleAction(action) {
-      if (action === 'complete') {
-        this.state = AlertState.COMPLETED;
-        this.currentBlock.status = 'completed';
-        this.cleanup();
-      } else if (action === 'delay') {
-        this.state = AlertState.PAUSED;
-        setTimeout(() => {
-          this.state = AlertState.RUNNING;
-          this.startTimer();
-        }, 600000); // 10分钟后重新开始
+/*
+ * 功能：解析 JSON 备份包（兼容直接导出的时间块数组）
+ * 参数：text - 文件内容
+ * 返回值：Object { blocks, skipped, settings, categories }，settings 为 null 表示文件不含设置
+ * 创建日期：2026-10-18
+ */
+function parseBackupBundle(text) {
+  const data = JSON.parse(text);
+  let blocks;
+  let settings = null;
+  let categories = [];
+  if (Array.isArray(data)) {
+    blocks = data;
+  } else if (data && data.format === BACKUP_FORMAT) {
+    if (Number(data.version) > BACKUP_VERSION) {
+      throw new Error(`备份文件版本 ${data.version} 高于当前支持的版本 ${BACKUP_VERSION}，请先升级插件`);
+    }
+    blocks = Array.isArray(data.timeBlocks) ? data.timeBlocks : [];
+    if (data.globalSettings || data.globalConfig) {
+      settings = { globalSettings: data.globalSettings || null, globalConfig: data.globalConfig || null };
+    }
+    if (Array.isArray(data.categories)) categories = data.categories;
+  } else {
+    throw new Error('不是有效的桌面时钟备份文件');
+  }
+
+  const valid = blocks.filter(block => block && typeof block.task === 'string' && Number.isFinite(new Date(block.startTime).getTime()));
+  return { blocks: valid, skipped: blocks.length - valid.length, settings, categories };
+}
+
+/*
+ * 功能：选择 .json/.ics 文件并生成导入预览（不修改数据，确认后调用 applyImport）
+ * 参数：无
+ * 返回值：Object|null 预览 { fileName, source, items: [{ task, timeText, recurrenceText, duplicate }], duplicateCount, skipped, hasSettings }
+ * 创建日期：2026-10-18
+ */
+window.prepareImport = () => {
+  const result = utools.showOpenDialog({
+    title: '导入数据',
+    filters: [{ name: '备份或日历文件', extensions: ['json', 'ics'] }],
+    properties: ['openFile']
+  });
+  if (!result || result.length === 0) return null;
+
+  try {
+    const filePath = result[0];
+    const source = path.extname(filePath).toLowerCase() === '.ics' ? 'ics' : 'json';
+    const text = fs.readFileSync(filePath, 'utf-8');
+    const parsed = source === 'ics' ? parseIcsBlocks(text) : parseBackupBundle(text);
+
+    // 与现有时间块对比标记重复；文件内部重复的只保留第一条
+    const existing = window.getTimeSettings();
+    const existingSignatures = new Set(existing.map(getBlockSignature));
+    const seen = new Set();
+    const items = [];
+    let skipped = parsed.skipped;
+    parsed.blocks.forEach(block => {
+      const signature = getBlockSignature(block);
+      if (seen.has(signature)) {
+        skipped++;
+        return;
       }
+      seen.add(signature);
+      items.push({ block, duplicate: existingSignatures.has(signature) });
+    });
+
+    pendingImport = { source, fileName: path.basename(filePath), items, skipped, settings: parsed.settings, categories: parsed.categories || [] };
+    window.logger.log(`[数据备份] 解析 ${source} 文件 ${filePath}: ${items.length} 个时间块，跳过 ${skipped} 个`);
+    return {
+      source,
+      fileName: pendingImport.fileName,
+      items: items.map(item => ({
+        task: item.block.task,
+        timeText: window.formatBlockTimeRange(item.block),
+        recurrenceText: window.describeRecurrence(item.block),
+        duplicate: !!item.duplicate
+      })),
+      duplicateCount: items.filter(item => item.duplicate).length,
+      skipped,
+      hasSettings: !!parsed.settings
+    };
+  } catch (error) {
+    pendingImport = null;
+    window.logger.error('[数据备份] 解析导入文件失败:', error);
+    window.showToast(`导入失败: ${error.message}`, 'error');
+    return null;
+  }
+};
+
+/*
+ * 功能：执行导入
+ * 参数：mode - 'merge' 合并（跳过重复项）| 'replace' 替换全部时间块；includeSettings - 是否同时导入 JSON 中的设置
+ * 返回值：Number 导入的时间块数量，没有待导入数据时返回 -1
+ * 创建日期：2026-10-18
+ */
+window.applyImport = (mode, includeSettings = false) => {
+  if (!pendingImport) return -1;
+  const { items, settings, categories } = pendingImport;
+  pendingImport = null;
+
+  const existing = window.getTimeSettings();
+  const keep = mode === 'replace' ? [] : existing;
+  const usedIds = new Set(keep.map(block => block.id));
+  const imported = items
+    .filter(item => mode === 'replace' || !item.duplicate)
+    .map(item => {
+      const block = { ...item.block, status: 'pending' };
+      if (!block.id || usedIds.has(block.id)) block.id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+      usedIds.add(block.id);
+      return block;
+    });
+
+  if (mode === 'replace' && window.alertManager) {
+    existing.forEach(block => {
+      window.alertManager.resetBlockState(block.id);
+      window.alertManager.cancelEndAlert(block.id);
+      window.alertManager.cancelEscalation(block.id);
+    });
+  }
+
+  if (includeSettings && settings) {
+    if (settings.globalSettings) {
+      const current = window.utools.dbStorage.getItem('globalSettings') || {};
+      window.utools.dbStorage.setItem('globalSettings', { ...current, ...settings.globalSettings });
     }
-  
-    cleanup() {
-      if (this.timer) clearInterval(this.timer);
-      this.timer = null;
-      document.getElementById('side-alert').style.display = 'none';
-      document.getElementById('alert-overlay').style.display = 'none';
+    if (settings.globalConfig) {
+      const config = { ...JSON.parse(window.utools.dbStorage.getItem('globalConfig') || '{}'), ...settings.globalConfig };
+      window.utools.dbStorage.setItem('globalConfig', JSON.stringify(config));
+      window.globalConfig = config;
     }
+    try {
+      updateSettingsFormUI();
+      updateBellSoundUI();
+    } catch (_) {}
   }
-  
-  window.alertManager = new AlertManager();
-  
-  // 修改后的保存时间设置方法
-  window.globalConfig = {
-    avatarPath: '',
-    ...JSON.parse(window.localStorage.getItem('globalConfig') || '{}')
+
+  // 时间块引用的分类随备份一起导入，本机已有的同 ID 分类不覆盖
+  mergeCategories(categories);
+  window.saveTimeSettings([...keep, ...imported]);
+  window.logger.log(`[数据备份] ${mode === 'replace' ? '替换' : '合并'}导入 ${imported.length} 个时间块${includeSettings && settings ? '，含设置' : ''}`);
+  window.showToast(`已导入 ${imported.length} 个时间块`);
+  return imported.length;
+};
+
+// 放弃待确认的导入
+window.cancelImport = () => {
+  pendingImport = null;
+};
+
+/*
+ * 计划模板
+ * 把当前的全部时间块保存为命名模板（如"工作日"、"周末"、"考试周"），之后可替换或合并到当前计划。
+ * 模板可设置在法定工作日或休息日自动启用：每天第一次调度检查时用该模板替换当前计划。
+ * 保存在 dbStorage 'planTemplates'：[{ id, name, blocks, autoApply: 'workday' | 'restday' | null, createdAt, updatedAt }]
+ *   blocks 不含状态、剩余次数、完成记录等运行数据；保留时间块 id，每次应用都沿用，提醒历史和统计不会因切换模板而拆散
+ * 创建日期：2026-10-18
+ */
+const PLAN_TEMPLATES_KEY = 'planTemplates';
+const TEMPLATE_AUTO_APPLIED_KEY = 'templateAutoApplied'; // { dateKey, templateId } 当天已自动启用的模板
+const TEMPLATE_DAY_TYPES = { workday: '法定工作日', restday: '休息日' };
+const TEMPLATE_RUNTIME_FIELDS = ['status', 'remainingCount', 'lastCompletedAt', 'completedCount', 'createdAt'];
+
+// 去掉时间块的运行数据，只保留计划内容
+function toTemplateBlock(block) {
+  const copy = { ...block };
+  TEMPLATE_RUNTIME_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
+// 由模板中的时间块生成时间块：沿用模板中的 id，时间改为今天的同一时刻，剩余次数重新计算；
+// current 为当前计划中同一 id 的时间块，内容未变时保留它的运行数据
+function fromTemplateBlock(block, current) {
+  const start = new Date(block.startTime);
+  const today = new Date();
+  today.setHours(start.getHours(), start.getMinutes(), start.getSeconds(), 0);
+  const reminderCount = block.reminderCount !== undefined ? block.reminderCount : -1;
+  const created = {
+    ...block,
+    id: block.id || Date.now().toString(36) + Math.random().toString(36).substr(2),
+    startTime: today.getTime(),
+    status: 'pending',
+    enabled: block.enabled !== false,
+    reminderCount,
+    remainingCount: reminderCount
   };
-  
-  window.saveGlobalAvatar = (path) => {
-    window.globalConfig.avatarPath = path;
-    window.localStorage.setItem('globalConfig', JSON.stringify(window.globalConfig));
+  if (!current || getBlockSignature(current) !== getBlockSignature(created)) return created;
+  const runtime = { startTime: current.startTime };
+  TEMPLATE_RUNTIME_FIELDS.forEach(field => {
+    if (current[field] !== undefined) runtime[field] = current[field];
+  });
+  return { ...created, ...runtime };
+}
+
+window.getPlanTemplates = () => {
+  const list = window.utools.dbStorage.getItem(PLAN_TEMPLATES_KEY);
+  return Array.isArray(list) ? list : [];
+};
+
+function savePlanTemplates(templates) {
+  window.utools.dbStorage.setItem(PLAN_TEMPLATES_KEY, templates);
+  if (window.alertManager) window.alertManager.reschedule();
+}
+
+/*
+ * 功能：把当前计划保存为模板，同名模板直接覆盖
+ * 参数：name - 模板名称
+ * 返回值：Object|null 保存后的模板，名称为空或当前没有时间块时返回 null
+ * 创建日期：2026-10-18
+ */
+window.savePlanTemplate = (name) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    window.showToast('请输入模板名称', 'error');
+    return null;
+  }
+  const blocks = window.getTimeSettings();
+  if (blocks.length === 0) {
+    window.showToast('当前没有时间块，无法保存为模板', 'error');
+    return null;
+  }
+
+  const templates = window.getPlanTemplates();
+  const existing = templates.find(t => t.name === trimmed);
+  const template = {
+    id: existing ? existing.id : Date.now().toString(36) + Math.random().toString(36).substr(2),
+    name: trimmed,
+    blocks: blocks.map(toTemplateBlock),
+    autoApply: existing ? existing.autoApply : null,
+    createdAt: existing ? existing.createdAt : Date.now(),
+    updatedAt: Date.now()
   };
-  
-window.getGlobalAvatar = () => {
-  const config = JSON.parse(window.utools.dbStorage.getItem('globalConfig') || '{}');
-  return config.avatar || path.join(window.utools.getPath('userData'), 'touxiang.png');
+  savePlanTemplates(existing ? templates.map(t => (t.id === existing.id ? template : t)) : [...templates, template]);
+  window.logger.log(`[计划模板] ${existing ? '更新' : '保存'}模板: ${trimmed}（${template.blocks.length} 个时间块）`);
+  window.showToast(`已${existing ? '更新' : '保存'}模板"${trimmed}"`);
+  return template;
+};
+
+window.deletePlanTemplate = (id) => {
+  const templates = window.getPlanTemplates();
+  const template = templates.find(t => t.id === id);
+  if (!template) return false;
+  savePlanTemplates(templates.filter(t => t.id !== id));
+  window.logger.log(`[计划模板] 删除模板: ${template.name}`);
+  return true;
+};
+
+/*
+ * 功能：设置模板自动启用的日期类型，同一日期类型只能对应一个模板
+ * 参数：id - 模板ID；dayType - 'workday' | 'restday' | null
+ * 返回值：无
+ * 创建日期：2026-10-18
+ */
+window.setPlanTemplateAutoApply = (id, dayType) => {
+  const type = TEMPLATE_DAY_TYPES[dayType] ? dayType : null;
+  savePlanTemplates(window.getPlanTemplates().map(t => {
+    if (t.id === id) return { ...t, autoApply: type };
+    return type && t.autoApply === type ? { ...t, autoApply: null } : t;
+  }));
+  if (type) window.showToast(`该模板将在${TEMPLATE_DAY_TYPES[type]}自动启用`);
 };
+
+/*
+ * 功能：应用模板
+ * 参数：id - 模板ID
+ *       mode - 'replace' 用模板替换当前计划 | 'merge' 把模板中当前计划没有的时间块加入
+ *       options - { keepUpcomingOnce } 替换时保留尚未到点的单次闹钟（自动启用时使用）
+ * 返回值：Number 新增的时间块数量，模板不存在时返回 -1
+ * 创建日期：2026-10-18
+ */
+window.applyPlanTemplate = (id, mode = 'replace', options = {}) => {
+  const template = window.getPlanTemplates().find(t => t.id === id);
+  if (!template) return -1;
+
+  // 旧模板中的时间块没有 id，补上后保存，之后每次应用都沿用同一 id
+  if (template.blocks.some(block => !block.id)) {
+    template.blocks = template.blocks.map(block => (block.id ? block : { ...block, id: Date.now().toString(36) + Math.random().toString(36).substr(2) }));
+    savePlanTemplates(window.getPlanTemplates().map(t => (t.id === template.id ? template : t)));
+  }
+
+  const existing = window.getTimeSettings();
+  const now = Date.now();
+  let keep = existing;
+  if (mode === 'replace') {
+    keep = options.keepUpcomingOnce
+      ? existing.filter(block => getRecurrenceRule(block).freq === 'once' && new Date(block.startTime).getTime() > now)
+      : [];
+  }
+  const signatures = new Set(keep.map(getBlockSignature));
+  const usedIds = new Set(keep.map(block => block.id));
+  const added = template.blocks
+    .map(block => fromTemplateBlock(block, mode === 'replace' ? existing.find(item => item.id === block.id) : null))
+    .filter(block => {
+      const signature = getBlockSignature(block);
+      if (signatures.has(signature)) return false;
+      signatures.add(signature);
+      return true;
+    });
+  // 合并时模板中的 id 可能已被当前计划中内容不同的时间块占用，改用新 id
+  added.forEach(block => {
+    if (usedIds.has(block.id)) block.id = Date.now().toString(36) + Math.random().toString(36).substr(2);
+    usedIds.add(block.id);
+  });
+
+  if (mode === 'replace' && window.alertManager) {
+    // 沿用且内容未变的时间块保留跳过、已触发等调度状态
+    const unchanged = new Set([...keep, ...added]
+      .filter(block => existing.some(item => item.id === block.id && getBlockSignature(item) === getBlockSignature(block)))
+      .map(block => block.id));
+    existing.filter(block => !unchanged.has(block.id)).forEach(block => {
+      window.alertManager.resetBlockState(block.id);
+      window.alertManager.cancelEndAlert(block.id);
+      window.alertManager.cancelEscalation(block.id);
+    });
+  }
+  window.saveTimeSettings([...keep, ...added]);
+  if (window.alertManager) window.alertManager.reschedule();
+  if (mode === 'replace') {
+    const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+    settings.activeTemplateId = template.id;
+    window.utools.dbStorage.setItem('globalSettings', settings);
+  }
+  window.logger.log(`[计划模板] ${mode === 'replace' ? '替换为' : '合并'}模板: ${template.name}，新增 ${added.length} 个时间块`);
+  try { window.pushFloatingData(); } catch (_) {}
+  return added.length;
+};
+
+// 最近一次用"替换"启用的模板ID
+window.getActivePlanTemplateId = () => {
+  const settings = window.utools.dbStorage.getItem('globalSettings') || {};
+  return settings.activeTemplateId || null;
+};
+
+// 模板内容摘要，如"3 个时间块：07:30 起床、09:00 晨会…"
+window.describePlanTemplate = (template) => {
+  const names = template.blocks
+    .slice()
+    .sort((a, b) => window.formatTimeOfDay(a.startTime).localeCompare(window.formatTimeOfDay(b.startTime)))
+    .map(block => `${window.formatTimeOfDay(block.startTime)} ${block.task}`);
+  return `${names.length} 个时间块：${names.slice(0, 3).join('、')}${names.length > 3 ? '…' : ''}`;
+};
+
+/*
+ * 功能：按今天的日期类型自动启用模板，每天只启用一次
+ * 参数：now - 时间戳
+ * 返回值：无
+ * 创建日期：2026-10-18
+ */
+function checkTemplateAutoApply(now) {
+  const dateKey = toDateKey(now);
+  const applied = window.utools.dbStorage.getItem(TEMPLATE_AUTO_APPLIED_KEY);
+  if (applied && applied.dateKey === dateKey) return;
+
+  const dayType = window.isStatutoryWorkday(now) ? 'workday' : 'restday';
+  const template = window.getPlanTemplates().find(t => t.autoApply === dayType);
+  if (!template) return;
+
+  window.utools.dbStorage.setItem(TEMPLATE_AUTO_APPLIED_KEY, { dateKey, templateId: template.id });
+  if (window.getActivePlanTemplateId() === template.id) return; // 已在使用，保留当天的运行状态
+  window.logger.log(`[计划模板] 今天是${TEMPLATE_DAY_TYPES[dayType]}，自动启用模板: ${template.name}`);
+  window.applyPlanTemplate(template.id, 'replace', { keepUpcomingOnce: true });
+  window.showToast(`已自动启用模板"${template.name}"`);
+  ['renderTimeline', 'renderTimeBlockList', 'renderPlanTemplates'].forEach(name => {
+    if (typeof window[name] === 'function') {
+      try { window[name](); } catch (_) {}
+    }
+  });
+}
+
+// 有自动启用的模板时，每天零点唤醒调度器检查一次
+window.alertManager.registerDueSource({
+  name: '计划模板',
+  getNextDueTime(now) {
+    if (!window.getPlanTemplates().some(t => t.autoApply)) return null;
+    const today = startOfDay(now);
+    return new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1).getTime();
+  },
+  processDue(now) {
+    checkTemplateAutoApply(now);
+  }
+});
 /**
  * 记录窗口边界信息
  * 功能：输出窗口当前的物理尺寸与内容尺寸，便于定位尺寸膨胀问题
@@ -1875,17 +6308,18 @@ try {
     try {
       const win = window.floatingWin;
       if (win && !win.isDestroyed()) {
-        // 若为移动请求，统一在主进程执行并锁定内容尺寸 300x45
+        // 若为移动请求，统一在主进程执行并锁定内容尺寸（紧凑或展开模式的尺寸）
         try {
           if (action && action.type === 'move') {
             const x = Math.round(action.x);
             const y = Math.round(action.y);
+            const size = getFloatingWindowSize();
             // 使用内容边界，避免物理边界随非客户区变化
             try {
-              win.setContentBounds({ x, y, width: FLOATING_WINDOW_WIDTH, height: FLOATING_WINDOW_HEIGHT });
+              win.setContentBounds({ x, y, ...size });
             } catch (e) {
               // 兜底：若 setContentBounds 不可用，退回 setBounds
-              win.setBounds({ x, y, width: FLOATING_WINDOW_WIDTH, height: FLOATING_WINDOW_HEIGHT });
+              win.setBounds({ x, y, ...size });
             }
           }
         } catch (_) {}
@@ -0,0 +1,298 @@
+/**
+ * 时间表达式解析
+ * 供 uTools 搜索框快速创建闹钟、快速闹钟倒计时使用，支持中文与英文：
+ *   "10分钟后 喝水"、"明天9点 开会"、"每周一 14:00 周会"、"每个工作日 9:00 打卡"、
+ *   "in 25 minutes stretch"、"tomorrow 9am standup"、"every monday 2pm review"
+ * date: 2026-10-18
+ */
+
+const CHINESE_DIGITS = { 零: 0, 一: 1, 二: 2, 两: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 八: 8, 九: 9 };
+
+const DURATION_UNITS = [
+  { pattern: '(?:h|hr|hrs|hour|hours|小时|个小时|钟头|个钟头)', ms: 3600000 },
+  { pattern: '(?:m|min|mins|minute|minutes|分钟|分)', ms: 60000 },
+  { pattern: '(?:s|sec|secs|second|seconds|秒钟|秒)', ms: 1000 }
+];
+const DURATION_TOKEN = `\\d+(?:\\.\\d+)?\\s*(?:${DURATION_UNITS.map(u => u.pattern).join('|')})(?![a-z])`;
+
+const ENGLISH_WEEKDAYS = {
+  sunday: 0, sun: 0, monday: 1, mon: 1, tuesday: 2, tue: 2, tues: 2, wednesday: 3, wed: 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4, friday: 5, fri: 5, saturday: 6, sat: 6
+};
+const ENGLISH_WEEKDAY_PATTERN = Object.keys(ENGLISH_WEEKDAYS).sort((a, b) => b.length - a.length).join('|');
+
+/*
+ * 功能：把文本中的中文数字（零到九十九）替换为阿拉伯数字，如"二十五分钟" → "25分钟"
+ * 参数：text - 原文本
+ * 返回值：String
+ */
+function replaceChineseNumerals(text) {
+  return String(text || '').replace(/[零一二两三四五六七八九十]+/g, (word) => {
+    const tenIndex = word.indexOf('十');
+    if (tenIndex === -1) {
+      return word.length === 1 ? String(CHINESE_DIGITS[word]) : word.split('').map(ch => CHINESE_DIGITS[ch]).join('');
+    }
+    const tens = tenIndex === 0 ? 1 : CHINESE_DIGITS[word.slice(0, tenIndex)];
+    const ones = word.slice(tenIndex + 1) ? CHINESE_DIGITS[word.slice(tenIndex + 1)] : 0;
+    return tens === undefined || ones === undefined ? word : String(tens * 10 + ones);
+  });
+}
+
+// 统一全角符号、中文数字与"半小时"等说法；
+// "周一三五"先转为"周[135]"，避免与后面紧跟的时间数字（如"周一14:00"）混在一起
+function normalizeText(text) {
+  const weekdayDigits = { 一: 1, 二: 2, 三: 3, 四: 4, 五: 5, 六: 6, 七: 7, 日: 7, 天: 7 };
+  const marked = String(text || '').trim().replace(
+    /(周|星期|礼拜)([一二三四五六七日天](?:[、,，和及与]?[一二三四五六七日天])*)/g,
+    (whole, prefix, days) => `${prefix}[${days.split('').filter(ch => weekdayDigits[ch]).map(ch => weekdayDigits[ch]).join('')}]`
+  );
+  return replaceChineseNumerals(marked)
+    .replace(/：/g, ':')
+    .replace(/[，。！]/g, ' ')
+    .replace(/点钟/g, '点')
+    .replace(/(\d+)\s*个?半(小时|钟头)/g, '$1.5小时')
+    .replace(/半(个)?(小时|钟头)/g, '30分钟');
+}
+
+/*
+ * 功能：解析时长文本，支持 "25"（分钟）、"1h30m"、"90s"、"1.5h"、"1小时30分钟"、"半小时"、"in 25 minutes" 等
+ * 参数：text - 时长文本
+ * 返回值：Number|null 毫秒数，无法识别时返回 null
+ */
+function parseDuration(text) {
+  let value = normalizeText(text).toLowerCase()
+    .replace(/^(in|after)\s+/, '')
+    .replace(/(之后|以后|后|later)$/, '')
+    .trim();
+  if (!value) return null;
+  if (/^\d+(\.\d+)?$/.test(value)) value += 'm';
+
+  const tokenRe = new RegExp(`(\\d+(?:\\.\\d+)?)\\s*(${DURATION_UNITS.map(u => u.pattern).join('|')})(?![a-z])`, 'g');
+  let total = 0;
+  let matched = false;
+  let match;
+  while ((match = tokenRe.exec(value)) !== null) {
+    const unit = DURATION_UNITS.find(u => new RegExp(`^${u.pattern}$`).test(match[2]));
+    total += parseFloat(match[1]) * unit.ms;
+    matched = true;
+  }
+  // 除空白和连接词外不能有未识别的内容
+  const rest = value.replace(tokenRe, '').replace(/\s|and|又|,/g, '');
+  if (!matched || rest) return null;
+  total = Math.round(total);
+  return total > 0 ? total : null;
+}
+
+// 从文本中取出第一个匹配并返回 [匹配结果, 去掉匹配后的文本]
+function take(text, regex) {
+  const match = regex.exec(text);
+  if (!match) return [null, text];
+  return [match, `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`];
+}
+
+// "135"、"1,3,5" 等转为星期数组（0=周日，输入中的 7 表示周日）
+function parseWeekdayDigits(text) {
+  const days = [];
+  String(text).replace(/[^1-7]/g, '').split('').forEach(ch => {
+    const day = Number(ch) % 7;
+    if (!days.includes(day)) days.push(day);
+  });
+  return days.sort((a, b) => a - b);
+}
+
+// 解析重复规则，返回 [recurrence, 剩余文本]
+function extractRecurrence(text) {
+  let match;
+  let rest;
+
+  [match, rest] = take(text, /每个?工作日|工作日|\bweekdays\b/i);
+  if (match) {
+    // 中文"工作日"按法定工作日（跳过节假日、调休上班），英文 weekdays 按周一至周五
+    return [/weekdays/i.test(match[0]) ? { freq: 'weekly', weekdays: [1, 2, 3, 4, 5] } : { freq: 'workday' }, rest];
+  }
+  [match, rest] = take(text, /每个?周末|\bweekends\b/i);
+  if (match) return [{ freq: 'weekly', weekdays: [0, 6] }, rest];
+  [match, rest] = take(text, /每(?:天|日)|\bevery\s*day\b|\bdaily\b/i);
+  if (match) return [{ freq: 'daily' }, rest];
+  [match, rest] = take(text, /每个?(?:周|星期|礼拜)(?:\[(\d+)\]|([1-7](?:[、,][1-7])*)(?!\d))/);
+  if (match) return [{ freq: 'weekly', weekdays: parseWeekdayDigits(match[1] || match[2]) }, rest];
+  [match, rest] = take(text, new RegExp(`\\bevery\\s+((?:${ENGLISH_WEEKDAY_PATTERN})(?:\\s*(?:,|and)\\s*(?:${ENGLISH_WEEKDAY_PATTERN}))*)\\b`, 'i'));
+  if (match) {
+    const weekdays = match[1].toLowerCase().split(/\s*(?:,|and)\s*/).map(name => ENGLISH_WEEKDAYS[name]);
+    return [{ freq: 'weekly', weekdays: Array.from(new Set(weekdays)).sort((a, b) => a - b) }, rest];
+  }
+  [match, rest] = take(text, /每个?月\s*(\d{1,2})\s*(?:号|日)|每个?月\s*最后一天/);
+  if (match) return [{ freq: 'monthly', monthDay: match[1] ? Number(match[1]) : -1 }, rest];
+  return [null, text];
+}
+
+// 解析日期（今天/明天/后天、周X、X月X日），返回 [{ date, weekday, nextWeek }, 剩余文本]
+function extractDate(text, now) {
+  let match;
+  let rest;
+  const day = offset => new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+
+  [match, rest] = take(text, /大后天|后天|明天|明早|明晚|今天|今早|今晚|\btomorrow\b|\btoday\b|\btonight\b/i);
+  if (match) {
+    const word = match[0].toLowerCase();
+    const offsets = { 大后天: 3, 后天: 2, 明天: 1, 明早: 1, 明晚: 1, tomorrow: 1 };
+    const period = /晚|tonight/.test(word) ? '晚上' : (/早/.test(word) ? '早上' : null);
+    return [{ date: day(offsets[word] || 0), period }, rest];
+  }
+  [match, rest] = take(text, /(下个?)?(?:周|星期|礼拜)(?:\[(\d)\]|([1-7])(?!\d))/);
+  if (match) {
+    const weekday = parseWeekdayDigits(match[2] || match[3])[0];
+    return [{ weekday, nextWeek: !!match[1] }, rest];
+  }
+  [match, rest] = take(text, new RegExp(`\\b(next\\s+)?(?:on\\s+)?(${ENGLISH_WEEKDAY_PATTERN})\\b`, 'i'));
+  if (match) return [{ weekday: ENGLISH_WEEKDAYS[match[2].toLowerCase()], nextWeek: !!match[1] }, rest];
+  [match, rest] = take(text, /(?:(\d{4})\s*[年\-/])?\s*(\d{1,2})\s*月\s*(\d{1,2})\s*(?:日|号)?|(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    const year = Number(match[1] || match[4]) || null;
+    const month = Number(match[2] || match[5]);
+    const date = Number(match[3] || match[6]);
+    return [{ year, month, monthDay: date }, rest];
+  }
+  return [null, text];
+}
+
+// 解析时刻，返回 [{ hours, minutes, seconds }, 剩余文本]
+function extractTime(text, defaultPeriod) {
+  let match;
+  let rest;
+  let period = defaultPeriod || null;
+
+  [match, rest] = take(text, /凌晨|早上|早晨|清晨|上午|中午|下午|傍晚|晚上|夜里/);
+  if (match) {
+    period = match[0];
+    text = rest;
+  }
+
+  let hours = null;
+  let minutes = 0;
+  let seconds = 0;
+  let meridiem = null;
+
+  [match, rest] = take(text, /(?:\bat\s+)?(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?(?![a-z\d])/i);
+  if (match) {
+    hours = Number(match[1]);
+    minutes = Number(match[2]);
+    seconds = Number(match[3] || 0);
+    meridiem = match[4];
+  } else {
+    [match, rest] = take(text, /(\d{1,2})\s*点\s*(?:(半)|(1)刻|(3)刻|(\d{1,2})\s*分?)?/);
+    if (match) {
+      hours = Number(match[1]);
+      if (match[2]) minutes = 30;
+      else if (match[3]) minutes = 15;
+      else if (match[4]) minutes = 45;
+      else if (match[5]) minutes = Number(match[5]);
+    } else {
+      [match, rest] = take(text, /(?:\bat\s+)?(\d{1,2})\s*(am|pm)\b/i);
+      if (match) {
+        hours = Number(match[1]);
+        meridiem = match[2];
+      }
+    }
+  }
+  if (hours === null) return [null, text];
+
+  if (meridiem) {
+    const pm = meridiem.toLowerCase() === 'pm';
+    if (hours === 12) hours = pm ? 12 : 0;
+    else if (pm) hours += 12;
+  } else if (period && hours < 12) {
+    if (['下午', '傍晚', '晚上', '夜里'].includes(period)) hours += 12;
+    else if (period === '中午' && hours < 11) hours += 12;
+  } else if (period === '凌晨' && hours === 12) {
+    hours = 0;
+  }
+  if (hours > 23 || minutes > 59 || seconds > 59) return [null, text];
+  return [{ hours, minutes, seconds }, rest];
+}
+
+// 相对时间："10分钟后"、"in 1h30m"、"1小时后"
+function extractRelative(text) {
+  const regex = new RegExp(`(?:\\b(?:in|after)\\s+((?:${DURATION_TOKEN}\\s*(?:and\\s*)?)+)|((?:${DURATION_TOKEN}\\s*又?\\s*)+)(?:之后|以后|后|\\s+later\\b))`, 'i');
+  const [match, rest] = take(text, regex);
+  if (!match) return [null, text];
+  const durationMs = parseDuration(match[1] || match[2]);
+  return durationMs ? [durationMs, rest] : [null, text];
+}
+
+// 去掉"提醒我"、"remind me to"等口头语和多余标点，剩下的作为任务名
+function cleanTaskName(text) {
+  return text
+    .replace(/提醒我|叫我|记得|别忘了|\bremind\s+me\s+(?:to\s+)?|\bat\b|\bon\b|的时候/gi, ' ')
+    .replace(/^[\s,.:;、的要去]+|[\s,.:;、]+$/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/*
+ * 功能：解析一句话闹钟
+ * 参数：text - 输入文本；now - 当前时间（默认现在）
+ * 返回值：Object|null 无法识别出时间时返回 null
+ *   { task, type: 'once' | 'recurring', startTime, recurrence, durationMs }
+ *   type 为 once 时 startTime 为触发时刻；recurring 时 startTime 为今天的对应时刻，recurrence 为 { freq, weekdays?, monthDay? }
+ *   durationMs 仅在相对时间（"10分钟后"）时存在
+ */
+function parseAlarmText(text, now = new Date()) {
+  let rest = normalizeText(text);
+  if (!rest) return null;
+
+  let durationMs;
+  [durationMs, rest] = extractRelative(rest);
+  if (durationMs) {
+    return {
+      task: cleanTaskName(rest),
+      type: 'once',
+      startTime: now.getTime() + durationMs,
+      recurrence: null,
+      durationMs
+    };
+  }
+
+  let recurrence;
+  let dateInfo = null;
+  let time;
+  [recurrence, rest] = extractRecurrence(rest);
+  if (!recurrence) [dateInfo, rest] = extractDate(rest, now);
+  [time, rest] = extractTime(rest, dateInfo && dateInfo.period);
+  if (!time) return null;
+
+  const task = cleanTaskName(rest);
+  const at = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate(), time.hours, time.minutes, time.seconds, 0);
+
+  if (recurrence) {
+    if (recurrence.freq === 'weekly' && (!recurrence.weekdays || recurrence.weekdays.length === 0)) return null;
+    return { task, type: 'recurring', startTime: at(now).getTime(), recurrence };
+  }
+
+  let target = at(now);
+  if (dateInfo && dateInfo.date) {
+    target = at(dateInfo.date);
+  } else if (dateInfo && dateInfo.weekday !== undefined) {
+    // "周三"取最近的一个周三（今天且时间未过则为今天），"下周三"取下一周的周三
+    let offset = (dateInfo.weekday - now.getDay() + 7) % 7;
+    if (dateInfo.nextWeek) {
+      const mondayOffset = (now.getDay() + 6) % 7;
+      offset = 7 - mondayOffset + (dateInfo.weekday + 6) % 7;
+    }
+    target = at(new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset));
+    if (!dateInfo.nextWeek && target.getTime() <= now.getTime()) target.setDate(target.getDate() + 7);
+  } else if (dateInfo && dateInfo.month) {
+    const year = dateInfo.year || now.getFullYear();
+    target = at(new Date(year, dateInfo.month - 1, dateInfo.monthDay));
+    if (target.getMonth() !== dateInfo.month - 1) return null;
+    // 未写年份且日期已过，视为明年
+    if (!dateInfo.year && target.getTime() <= now.getTime()) target.setFullYear(year + 1);
+  } else if (target.getTime() <= now.getTime()) {
+    // 只写了时间且已过，顺延到明天
+    target.setDate(target.getDate() + 1);
+  }
+  if (target.getTime() <= now.getTime()) return null;
+  return { task, type: 'once', startTime: target.getTime(), recurrence: null };
+}
+
+module.exports = { parseAlarmText, parseDuration, replaceChineseNumerals };